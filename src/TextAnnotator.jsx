@@ -1,12 +1,19 @@
 import React, { Component } from 'react';
-import { Editor } from '@recogito/recogito-client-core';
+import { Editor, WebAnnotation } from '@recogito/recogito-client-core';
 import Highlighter from './highlighter/Highlighter';
 import SelectionHandler from './selection/SelectionHandler';
+import AnnotationPicker from './selection/AnnotationPicker';
 import RelationsLayer from './relations/RelationsLayer';
 import RelationEditor from './relations/editor/RelationEditor';
+import { getNodeById } from './relations/RelationUtils';
+import FocusScope from './utils/FocusScope';
 
 import './TextAnnotator.scss';
 
+/** Matches tag bodies with the given value (or, for linked data tags, URI) **/
+const isTag = tag => body =>
+  body.purpose === 'tagging' && (body.value === tag || body.source?.id === tag);
+
 /**
  * Pulls the strings between the annotation highlight layer
  * and the editor popup.
@@ -21,6 +28,12 @@ export default class TextAnnotator extends Component {
       selectedDOMElement: null,
       selectedRelation: null,
 
+      // Overlapping annotations at the click point, for the picker
+      candidates: null,
+
+      // The orphaned original, if the editor is re-attaching an orphan
+      reattachedOrphan: null,
+
       // ReadOnly mode
       readOnly: this.props.config.readOnly,
 
@@ -32,49 +45,68 @@ export default class TextAnnotator extends Component {
 
     this.extraEl = props.extraEl;
     this._editor = React.createRef();
+
+    // Orphan waiting for the user to select its new text
+    this.pendingReattach = null;
   }
 
   /** Shorthand **/
   clearState = () => {
     this.setState({
       selectedAnnotation: null,
-      selectedDOMElement: null
+      selectedDOMElement: null,
+      candidates: null,
+      reattachedOrphan: null
     });
 
     this.selectionHandler.enabled = true;
   }
 
   handleEscape = (evt) => {
-    if (evt.which === 27)
+    // Only the instance the user is working in reacts to Escape
+    if (evt.which === 27 && this.focusScope.isFocused)
       this.onCancelAnnotation();
   }
 
   componentDidMount() {
-    this.highlighter = new Highlighter(this.props.contentEl, this.props.config.formatter);
+    this.focusScope = new FocusScope([ this.props.wrapperEl, this.extraEl ]);
 
-    this.selectionHandler = new SelectionHandler(this.props.contentEl, this.highlighter, this.props.config.readOnly, this.extraEl);
+    this.highlighter = new Highlighter(this.props.contentEl, this.props.config.formatter, this.props.config);
+    this.highlighter.on('reanchor', this.onAnnotationReanchored);
+    this.highlighter.on('anchoringFailed', this.onAnchoringFailed);
+    this.highlighter.on('contentChanged', this.onContentChanged);
+
+    this.selectionHandler = new SelectionHandler(this.props.contentEl, this.highlighter, this.props.config.readOnly, this.extraEl, this.props.config);
     this.selectionHandler.on('select', this.handleSelect);
+    this.selectionHandler.on('selectionChanged', this.onSelectionChanged);
 
-    this.relationsLayer = new RelationsLayer(this.props.contentEl);
+    this.relationsLayer = new RelationsLayer(this.props.contentEl, this.highlighter, this.focusScope);
 
     this.relationsLayer.on('createRelation', this.onEditRelation);
     this.relationsLayer.on('selectRelation', this.onEditRelation);
     this.relationsLayer.on('cancelDrawing', this.closeRelationsEditor);
 
-    document.addEventListener('keydown', this.handleEscape);
+    this.props.contentEl.ownerDocument.addEventListener('keydown', this.handleEscape);
   }
 
   componentWillUnmount() {
-    document.removeEventListener('keydown', this.handleEscape);
+    this.props.contentEl.ownerDocument.removeEventListener('keydown', this.handleEscape);
+
+    this.focusScope.destroy();
 
     // Destroy the selection handler to clean up event listeners
     this.selectionHandler.destroy();
+
+    this.highlighter.destroy();
   }
 
   onChanged = () => {
     // Disable selection outside of the editor
     // when user makes the first change
     this.selectionHandler.enabled = false;
+
+    // Picking another annotation would discard the changes
+    this.setState({ candidates: null });
   }
 
   /**************************/
@@ -83,19 +115,64 @@ export default class TextAnnotator extends Component {
 
   /** Selection on the text **/
   handleSelect = evt => {
+    // Every click de-selects first - only selections count for re-attaching
+    if (this.pendingReattach && evt.selection) {
+      this.onReattachSelect(evt);
+      return;
+    }
+
     this.state.editorDisabled ?
       this.onHeadlessSelect(evt) : this.onNormalSelect(evt);
   }
 
-  onNormalSelect = evt => {
+  /**
+   * The first text selection after .reattachAnnotation becomes the new
+   * target of the orphan. Selecting an existing annotation cancels
+   * re-attaching.
+   */
+  onReattachSelect = evt => {
+    const orphan = this.pendingReattach;
+    this.pendingReattach = null;
+
     const { selection, element } = evt;
+    if (selection?.isSelection) {
+      // A multi-range selection replaces the target(s) entirely. Otherwise,
+      // the orphan's other target properties stay, unless the selection has
+      // its own (e.g. the 'source' of the section the text is in).
+      const { target } = orphan;
+      const { selector, ...properties } = Array.isArray(target) ? target[0] : target;
+      const reattached = orphan.clone({
+        target: Array.isArray(selection.target) ?
+          selection.target : { ...properties, ...selection.target }
+      });
+
+      if (this.state.editorDisabled) {
+        this.onCreateOrUpdateAnnotation('onAnnotationUpdated')(reattached, orphan);
+      } else {
+        this.setState({
+          selectedAnnotation: null,
+          selectedDOMElement: null
+        }, () => this.setState({
+          selectedAnnotation: reattached,
+          selectedDOMElement: element,
+          reattachedOrphan: orphan
+        }));
+      }
+    } else {
+      this.handleSelect(evt);
+    }
+  }
+
+  onNormalSelect = evt => {
+    const { selection, element, candidates } = evt;
     if (selection) {
       this.setState({
         selectedAnnotation: null,
         selectedDOMElement: null
       }, () => this.setState({
         selectedAnnotation: selection,
-        selectedDOMElement: element
+        selectedDOMElement: element,
+        candidates: candidates || null
       }));
 
       const selectionClone = selection.clone()
@@ -198,6 +275,9 @@ export default class TextAnnotator extends Component {
     this.selectionHandler.clearSelection();
     this.highlighter.addOrUpdateAnnotation(annotation, previous);
 
+    // The update may have changed whether the annotation passes the filter
+    this.relationsLayer.updateVisibility();
+
     if (!silent) {
       if (previous)
         this.props[method](annotation.clone(), previous.clone());
@@ -206,6 +286,29 @@ export default class TextAnnotator extends Component {
     }
   }
 
+  /**
+   * Editor 'Ok' while re-attaching an orphan: report the update against the
+   * orphaned original, so that the host sees the change of target.
+   */
+  onReattachAnnotation = annotation =>
+    this.onCreateOrUpdateAnnotation('onAnnotationUpdated')(annotation, this.state.reattachedOrphan);
+
+  /** Highlighter could not attach an annotation to the text (see AnchoringFailure) **/
+  onAnchoringFailed = (annotation, reason) =>
+    this.props.onAnchoringFailed(annotation.clone(), reason);
+
+  /** 'observeContent' mode: the host page changed the content (or its size) **/
+  onContentChanged = mismatched => {
+    this.relationsLayer.rebindAll();
+
+    if (mismatched.length > 0)
+      this.props.onQuoteMismatch(mismatched.map(a => a.clone()));
+  }
+
+  /** Highlighter had to move an annotation, because its selectors had drifted **/
+  onAnnotationReanchored = (annotation, previous) =>
+    this.props.onAnnotationReanchored(annotation.clone(), previous.clone());
+
   onDeleteAnnotation = annotation => {
     // Delete connections
     this.relationsLayer.destroyConnectionsFor(annotation);
@@ -229,8 +332,23 @@ export default class TextAnnotator extends Component {
     this.highlighter.highlightedAnnotationId = id;
   };
 
+  setFormatter = formatter =>
+    this.highlighter.setFormatter(formatter);
+
+  refreshStyles = annotationIds =>
+    this.highlighter.refreshStyles(annotationIds);
+
+  /** 'multiSelect' mode: the user changed the multi-selection **/
+  onSelectionChanged = annotations =>
+    this.props.onSelectionChanged(annotations.map(a => a.clone()));
+
+  /** Annotation picked from the overlapping annotations at the click point **/
+  onPickAnnotation = annotation =>
+    this.selectionHandler.selectFromStack(annotation);
+
   /** Cancel button on annotation editor **/
   onCancelAnnotation = annotation => {
+    this.pendingReattach = null;
     this.clearState();
     this.selectionHandler.clearSelection();
     this.props.onCancelSelected(annotation);
@@ -279,10 +397,161 @@ export default class TextAnnotator extends Component {
     this.props.onAnnotationDeleted(relation.annotation);
   }
 
+  /*******************/
+  /* Bulk operations */
+  /*******************/
+
+  /** Creator and timestamp for new bodies - the same the editor would add **/
+  creationMeta = () => {
+    const { user } = this.props.env;
+    if (!user)
+      return {};
+
+    const creator = {};
+    if (user.id) creator.id = user.id;
+    if (user.displayName) creator.name = user.displayName;
+
+    return { creator, created: this.props.env.getCurrentTimeAdjusted() };
+  }
+
+  /**
+   * Applies the update function to all annotations in the multi-selection.
+   * The function returns the updated annotation, or null if there's nothing
+   * to change. Fires one batched update event.
+   */
+  updateSelected = update => {
+    const updates = this.highlighter.getMultiSelected()
+      .map(previous => ({ previous, annotation: update(previous) }))
+      .filter(({ annotation }) => annotation);
+
+    if (updates.length > 0) {
+      this.clearState();
+      this.selectionHandler.clearSelection();
+
+      updates.forEach(({ annotation, previous }) =>
+        this.highlighter.addOrUpdateAnnotation(annotation, previous));
+
+      // The updates may have changed which annotations pass the filter
+      this.relationsLayer.updateVisibility();
+
+      this.props.onAnnotationsUpdated(
+        updates.map(({ annotation }) => annotation.clone()),
+        updates.map(({ previous }) => previous.clone()));
+    }
+
+    return updates.map(({ annotation }) => annotation);
+  }
+
   /****************/
   /* External API */
   /****************/
 
+  getSelected = () =>
+    this.highlighter.getMultiSelected().map(a => a.clone());
+
+  addTagToSelected = tag =>
+    this.updateSelected(annotation => annotation.bodies.some(isTag(tag)) ? null :
+      annotation.clone({
+        body: [ ...annotation.bodies, { type: 'TextualBody', purpose: 'tagging', value: tag, ...this.creationMeta() } ]
+      }));
+
+  removeTagFromSelected = tag =>
+    this.updateSelected(annotation => {
+      const body = annotation.bodies.filter(b => !isTag(tag)(b));
+      return body.length < annotation.bodies.length ? annotation.clone({ body }) : null;
+    });
+
+  /**
+   * Deletes the annotations with the given IDs (or the multi-selection),
+   * along with the relations attached to them. Fires one batched delete
+   * event, which includes the relations.
+   */
+  deleteAnnotations = ids => {
+    const annotations = (ids || this.highlighter.getMultiSelected().map(a => a.id))
+      .map(this.highlighter.getAnnotationById)
+      .filter(Boolean);
+
+    if (annotations.length === 0)
+      return [];
+
+    this.clearState();
+    this.selectionHandler.clearSelection();
+
+    const selectedBefore = this.highlighter.getMultiSelected();
+
+    // A relation between two deleted annotations counts once
+    const relations = Array.from(new Set(annotations.reduce((all, annotation) =>
+      all.concat(this.relationsLayer.getConnectionsFor(annotation).map(c => c.annotation)), [])));
+
+    annotations.forEach(annotation => {
+      this.relationsLayer.destroyConnectionsFor(annotation);
+      this.highlighter.removeAnnotation(annotation);
+    });
+
+    // Deleted annotations drop out of the multi-selection
+    const selectedAfter = this.highlighter.getMultiSelected();
+    if (selectedAfter.length !== selectedBefore.length)
+      this.selectionHandler.setMultiSelection(selectedAfter.map(a => a.id));
+
+    const deleted = annotations.concat(relations);
+    this.props.onAnnotationsDeleted(deleted.map(a => a.clone()));
+
+    return deleted;
+  }
+
+  /**
+   * The relation graph node ({ annotation, elements }) for the annotation
+   * with the given ID, or null if there is nothing to connect to, e.g. for
+   * orphans. In lazy mode, the annotation gets rendered on demand.
+   */
+  getLinkableNode = id =>
+    this.highlighter.getAnnotationById(id) && !this.highlighter.getOrphan(id) ?
+      getNodeById(this.highlighter, id) : null;
+
+  /**
+   * Links every annotation in the multi-selection to the given annotation,
+   * with relations tagged with the given tag. Fires one batched create event.
+   */
+  linkSelectedTo = (annotationOrId, tag) => {
+    const id = annotationOrId?.id || annotationOrId;
+
+    const toNode = this.getLinkableNode(id);
+    if (!toNode) {
+      console.warn(`No annotation to link to with id: ${id}`);
+      return [];
+    }
+
+    if (!tag) {
+      console.warn('Relations need a tag');
+      return [];
+    }
+
+    const to = toNode.annotation;
+
+    // Existing links stay as they are
+    const created = this.highlighter.getMultiSelected()
+      .map(from => this.getLinkableNode(from.id)?.annotation)
+      .filter(from => from && from.id !== to.id && !this.relationsLayer.isLinked(from, to))
+      .map(from => {
+        const annotation = WebAnnotation.create({
+          motivation: 'linking',
+          target: [
+            { id: from.id },
+            { id: to.id }
+          ],
+          body: [{ type: 'TextualBody', purpose: 'tagging', value: tag, ...this.creationMeta() }]
+        });
+
+        this.relationsLayer.addOrUpdateRelation({ annotation, from, to });
+        return annotation;
+      });
+
+    if (created.length > 0)
+      this.props.onAnnotationsCreated(created.map(a => a.clone()));
+
+    return created;
+  }
+
   addAnnotation = (annotation, prevAnnotation, silent = false) => {
     if (prevAnnotation) {
       this.onCreateOrUpdateAnnotation('onAnnotationUpdated', silent)(annotation.clone(), prevAnnotation);
@@ -307,10 +576,56 @@ export default class TextAnnotator extends Component {
 
   getAnnotations = () => {
     const annotations = this.highlighter.getAllAnnotations();
+    const orphans = this.highlighter.getOrphanedAnnotations();
     const relations = this.relationsLayer.getAllRelations();
+    return annotations.concat(orphans, relations).map(a => a.clone());
+  }
+
+  getOrphanedAnnotations = () =>
+    this.highlighter.getOrphanedAnnotations().map(a => a.clone());
+
+  getAnnotationsAt = (x, y) =>
+    this.highlighter.getAnnotationsAtPoint(x, y).map(a => a.clone());
+
+  getAnnotationsAtOffset = (offset, source) =>
+    this.highlighter.getAnnotationsAtOffset(offset, source).map(a => a.clone());
+
+  getVisibleAnnotations = () => {
+    const annotations = this.highlighter.getVisibleAnnotations();
+    const relations = this.relationsLayer.getVisibleRelations();
     return annotations.concat(relations).map(a => a.clone());
   }
 
+  /** Hides annotations that don't match the predicate, and relations attached to them **/
+  setFilter = predicate => {
+    this.highlighter.setFilter(predicate);
+    this.relationsLayer.updateVisibility();
+  }
+
+  clearFilter = () =>
+    this.setFilter(null);
+
+  /**
+   * Re-attaches an orphaned annotation: the next text selection becomes
+   * its new target, and opens the editor (or, in headless mode, updates
+   * the annotation right away).
+   *
+   * @returns the orphan, or undefined if there is no such orphan
+   */
+  reattachAnnotation = annotationOrId => {
+    const orphan = this.highlighter.getOrphan(annotationOrId);
+
+    if (orphan) {
+      this.clearState();
+      this.selectionHandler.clearSelection();
+      this.pendingReattach = orphan;
+    } else {
+      console.warn(`No orphaned annotation with id: ${annotationOrId?.id || annotationOrId}`);
+    }
+
+    return orphan;
+  }
+
   removeAnnotation = annotation => {
     this.highlighter.removeAnnotation(annotation);
 
@@ -342,6 +657,16 @@ export default class TextAnnotator extends Component {
     });
   }
 
+  /**
+   * Opens the editor on a new selection of the given text range (see
+   * SelectionHandler). The selection is a new draft, so this cancels
+   * re-attaching an orphan.
+   */
+  selectRange = range => {
+    this.pendingReattach = null;
+    return this.selectionHandler.selectRange(range);
+  }
+
   setAnnotations = annotations => {
     this.highlighter.clear();
     this.relationsLayer.clear();
@@ -417,11 +742,21 @@ export default class TextAnnotator extends Component {
             env={this.props.env}
             onChanged={this.onChanged}
             onAnnotationCreated={this.onCreateOrUpdateAnnotation('onAnnotationCreated')}
-            onAnnotationUpdated={this.onCreateOrUpdateAnnotation('onAnnotationUpdated')}
+            onAnnotationUpdated={this.state.reattachedOrphan ?
+              this.onReattachAnnotation : this.onCreateOrUpdateAnnotation('onAnnotationUpdated')}
             onAnnotationDeleted={this.onDeleteAnnotation}
             onCancel={this.onCancelAnnotation} />
         }
 
+        { this.state.selectedAnnotation && this.state.candidates &&
+          <AnnotationPicker
+            wrapperEl={this.props.wrapperEl}
+            annotations={this.state.candidates}
+            selected={this.state.selectedAnnotation}
+            selectedElement={this.state.selectedDOMElement}
+            onSelect={this.onPickAnnotation} />
+        }
+
         { this.state.selectedRelation &&
           <RelationEditor
             relation={this.state.selectedRelation}
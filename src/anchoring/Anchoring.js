@@ -0,0 +1,202 @@
+import { findApproximate } from './FuzzyMatch';
+
+// Max share of characters in a quote that may differ in a fuzzy match
+const MAX_ERROR_RATE = 0.2;
+
+// Fuzzy search looks this many chars around the expected position first
+const SEARCH_WINDOW = 2000;
+
+// Fuzzy search across the whole document is skipped above this
+// cost (text length x quote length), to keep load times sane
+const MAX_FUZZY_COST = 5e7;
+
+/** Reasons why an annotation could not be attached to the text **/
+export const AnchoringFailure = {
+  // No TextQuoteSelector, and the TextPositionSelector is outside the text
+  POSITION_OUT_OF_RANGE: 'POSITION_OUT_OF_RANGE',
+
+  // No TextQuoteSelector or TextPositionSelector, and the RangeSelector doesn't resolve
+  RANGE_NOT_RESOLVED: 'RANGE_NOT_RESOLVED',
+
+  // Only a TokenSelector, and its tokens don't exist (or token mode is off)
+  TOKENS_NOT_RESOLVED: 'TOKENS_NOT_RESOLVED',
+
+  // Neither an exact nor a fuzzy match for the TextQuoteSelector
+  QUOTE_NOT_FOUND: 'QUOTE_NOT_FOUND',
+
+  // Anchored, but the Highlighter failed to render it
+  RENDER_FAILED: 'RENDER_FAILED',
+
+  // The target source doesn't match any of the content sections
+  UNKNOWN_SOURCE: 'UNKNOWN_SOURCE'
+};
+
+const commonPrefixLength = (a, b) => {
+  const len = Math.min(a.length, b.length);
+  let i = 0;
+  while (i < len && a.charAt(i) === b.charAt(i))
+    i++;
+  return i;
+}
+
+const commonSuffixLength = (a, b) => {
+  const len = Math.min(a.length, b.length);
+  let i = 0;
+  while (i < len && a.charAt(a.length - 1 - i) === b.charAt(b.length - 1 - i))
+    i++;
+  return i;
+}
+
+/**
+ * How well the text around [start, end] matches the prefix/suffix
+ * context of the given quote selector (between 0 and 1).
+ */
+const contextScore = (text, start, end, quote) => {
+  const { prefix, suffix } = quote;
+
+  let score = 0;
+  let weights = 0;
+
+  if (prefix) {
+    const before = text.substring(Math.max(0, start - prefix.length), start);
+    score += commonSuffixLength(before, prefix) / prefix.length;
+    weights += 1;
+  }
+
+  if (suffix) {
+    const after = text.substring(end, end + suffix.length);
+    score += commonPrefixLength(after, suffix) / suffix.length;
+    weights += 1;
+  }
+
+  return weights > 0 ? score / weights : 0;
+}
+
+/** All start offsets where 'exact' occurs in the text **/
+const findAllExact = (text, exact) => {
+  const offsets = [];
+
+  let idx = text.indexOf(exact);
+  while (idx > -1) {
+    offsets.push(idx);
+    idx = text.indexOf(exact, idx + 1);
+  }
+
+  return offsets;
+}
+
+/**
+ * Resolves the text selectors of the given annotation against the
+ * text content. The TextPositionSelector is trusted if the text
+ * at this position matches the TextQuoteSelector. Otherwise, we
+ * search for the quote - exact matches first (disambiguated by
+ * prefix/suffix context, then by distance to the original position),
+ * fuzzy matches next (near the original position first, then across
+ * the whole document).
+ *
+ * The position can be passed in explicitly, e.g. if it was resolved
+ * from a RangeSelector.
+ *
+ * @returns { start, end, moved } or null, if the annotation can't be anchored
+ */
+export const anchor = (annotation, text, position = annotation.selector('TextPositionSelector')) => {
+  const quote = annotation.selector('TextQuoteSelector');
+
+  const isInRange = position &&
+    position.start >= 0 && position.end <= text.length && position.start <= position.end;
+
+  // Nothing to verify against - take the position as is
+  if (!quote?.exact)
+    return isInRange ? { start: position.start, end: position.end, moved: false } : null;
+
+  const { exact } = quote;
+
+  if (isInRange && text.substring(position.start, position.end) === exact)
+    return { start: position.start, end: position.end, moved: false };
+
+  const hint = position ? position.start : 0;
+
+  // Exact matches
+  const candidates = findAllExact(text, exact).map(start => ({
+    start,
+    score: contextScore(text, start, start + exact.length, quote)
+  }));
+
+  if (candidates.length > 0) {
+    candidates.sort((a, b) =>
+      (b.score - a.score) || (Math.abs(a.start - hint) - Math.abs(b.start - hint)));
+
+    const { start } = candidates[0];
+    return { start, end: start + exact.length, moved: true };
+  }
+
+  // Fuzzy matches
+  const maxErrors = Math.floor(exact.length * MAX_ERROR_RATE);
+  if (maxErrors > 0) {
+    if (position) {
+      const from = Math.max(0, position.start - SEARCH_WINDOW);
+      const to = Math.min(text.length, position.start + exact.length + SEARCH_WINDOW);
+
+      const nearby = findApproximate(text, exact, maxErrors, hint, from, to);
+      if (nearby)
+        return { start: nearby.start, end: nearby.end, moved: true };
+    }
+
+    if (text.length * exact.length <= MAX_FUZZY_COST) {
+      const anywhere = findApproximate(text, exact, maxErrors, hint);
+      if (anywhere)
+        return { start: anywhere.start, end: anywhere.end, moved: true };
+    }
+  }
+
+  return null;
+}
+
+/** Why .anchor returned null for the given annotation **/
+export const getAnchoringFailure = annotation => {
+  if (annotation.selector('TextQuoteSelector')?.exact)
+    return AnchoringFailure.QUOTE_NOT_FOUND;
+
+  if (annotation.selector('TextPositionSelector'))
+    return AnchoringFailure.POSITION_OUT_OF_RANGE;
+
+  if (annotation.selector('RangeSelector'))
+    return AnchoringFailure.RANGE_NOT_RESOLVED;
+
+  return annotation.selector('TokenSelector') ?
+    AnchoringFailure.TOKENS_NOT_RESOLVED : AnchoringFailure.POSITION_OUT_OF_RANGE;
+}
+
+/**
+ * Returns a copy of the annotation with its TextPositionSelector and
+ * TextQuoteSelector (where present) updated to the given anchor. Other
+ * selectors that need updating can be passed as 'replacements' (selector
+ * type -> selector). This includes the TextPositionSelector, if its offsets
+ * don't count the same units as the text (see OffsetUnits).
+ */
+export const reanchor = (annotation, { start, end }, text, replacements = {}) => {
+  const { target } = annotation;
+
+  const selectors = Array.isArray(target.selector) ?
+    target.selector : [ target.selector ];
+
+  const updated = selectors.map(s => {
+    if (s.type === 'TextPositionSelector') {
+      return replacements.TextPositionSelector || { ...s, start, end };
+    } else if (s.type === 'TextQuoteSelector') {
+      const corrected = { ...s, exact: text.substring(start, end) };
+
+      if (s.prefix)
+        corrected.prefix = text.substring(Math.max(0, start - s.prefix.length), start);
+
+      if (s.suffix)
+        corrected.suffix = text.substring(end, end + s.suffix.length);
+
+      return corrected;
+    } else {
+      return replacements[s.type] || s;
+    }
+  });
+
+  return annotation.clone({ target: { ...target, selector: Array.isArray(target.selector) ? updated : updated[0] } });
+}
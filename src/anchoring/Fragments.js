@@ -0,0 +1,62 @@
+/**
+ * Discontinuous annotations cover several separate ranges of text
+ * ('fragments'), e.g. separable verbs like "rief ... an". Two forms
+ * are supported:
+ *
+ * - multiple targets, each with its own text selectors
+ * - a single target with a 'Choice' selector, where each item is a
+ *   selector (or a list of selectors) for one fragment
+ *
+ * Each fragment is represented as a clone of the annotation with just
+ * the fragment's selectors, so that the single-range anchoring logic
+ * (and .start/.end/.quote) applies unchanged.
+ */
+
+const TEXT_SELECTORS = [ 'TextPositionSelector', 'TextQuoteSelector', 'RangeSelector', 'TokenSelector' ];
+
+const toArray = arg => Array.isArray(arg) ? arg : [ arg ];
+
+const getChoice = target =>
+  target?.selector && toArray(target.selector).find(s => s.type === 'Choice');
+
+/** True if the annotation uses one of the multi-range forms **/
+export const isFragmented = annotation =>
+  Array.isArray(annotation.target) || !!getChoice(annotation.target);
+
+/** The fragments of the annotation (or just the annotation, if it's single-range) **/
+export const getFragments = annotation => {
+  const { target } = annotation;
+
+  if (Array.isArray(target))
+    return target.map(t => annotation.clone({ target: t }));
+
+  const choice = getChoice(target);
+  if (choice)
+    return choice.items.map(item => annotation.clone({ target: { ...target, selector: item } }));
+
+  return [ annotation ];
+}
+
+/**
+ * Re-assembles an annotation from (possibly updated) fragments, in the
+ * same form as the original.
+ */
+export const joinFragments = (annotation, fragments) => {
+  const { target } = annotation;
+
+  if (Array.isArray(target))
+    return annotation.clone({ target: fragments.map(f => f.target) });
+
+  const choice = getChoice(target);
+  if (choice) {
+    const items = fragments.map(f => f.target.selector);
+    const selector = toArray(target.selector).map(s => s === choice ? { ...choice, items } : s);
+    return annotation.clone({ target: { ...target, selector: Array.isArray(target.selector) ? selector : selector[0] } });
+  }
+
+  return fragments[0];
+}
+
+/** True if all fragments of the annotation have text selectors **/
+export const hasTextSelectors = annotation =>
+  getFragments(annotation).every(f => TEXT_SELECTORS.some(type => f.selector(type)));
@@ -0,0 +1,76 @@
+/**
+ * Approximate string search: finds the substring of 'text' (between
+ * 'from' and 'to') with the smallest edit distance to 'pattern'. This is
+ * Sellers' variant of the Levenshtein algorithm, which lets the match
+ * start anywhere in the text, and tracks the start offset of each
+ * partial match along the way.
+ *
+ * Matches with more than 'maxErrors' edits are discarded. If several
+ * matches have the same number of errors, the one closest to 'hint'
+ * wins.
+ *
+ * @returns { start, end, errors } or null, if there is no match
+ */
+export const findApproximate = (text, pattern, maxErrors, hint = 0, from = 0, to = text.length) => {
+  const m = pattern.length;
+
+  if (m === 0)
+    return null;
+
+  // Edit costs and start offsets for the previous and current text column
+  let prevCost = new Uint32Array(m + 1);
+  let prevStart = new Int32Array(m + 1);
+  let currCost = new Uint32Array(m + 1);
+  let currStart = new Int32Array(m + 1);
+
+  for (let i = 0; i <= m; i++) {
+    prevCost[i] = i;
+    prevStart[i] = from;
+  }
+
+  let best = null;
+
+  for (let j = from; j < to; j++) {
+    const char = text.charAt(j);
+
+    // A match may start at any position in the text
+    currCost[0] = 0;
+    currStart[0] = j + 1;
+
+    for (let i = 1; i <= m; i++) {
+      const substitution = prevCost[i - 1] + (pattern.charAt(i - 1) === char ? 0 : 1);
+      const deletion = prevCost[i] + 1;
+      const insertion = currCost[i - 1] + 1;
+
+      if (substitution <= deletion && substitution <= insertion) {
+        currCost[i] = substitution;
+        currStart[i] = prevStart[i - 1];
+      } else if (deletion <= insertion) {
+        currCost[i] = deletion;
+        currStart[i] = prevStart[i];
+      } else {
+        currCost[i] = insertion;
+        currStart[i] = currStart[i - 1];
+      }
+    }
+
+    const errors = currCost[m];
+    if (errors <= maxErrors) {
+      const start = currStart[m];
+      const end = j + 1;
+
+      const isBetter = !best ||
+        errors < best.errors ||
+        (errors === best.errors && Math.abs(start - hint) < Math.abs(best.start - hint));
+
+      if (isBetter)
+        best = { start, end, errors };
+    }
+
+    // Swap columns
+    [ prevCost, currCost ] = [ currCost, prevCost ];
+    [ prevStart, currStart ] = [ currStart, prevStart ];
+  }
+
+  return best;
+}
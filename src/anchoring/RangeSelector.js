@@ -0,0 +1,196 @@
+import { flatParent } from '../highlighter/FlatTree';
+
+/**
+ * Anchoring for RangeSelectors, with XPathSelector or CssSelector start
+ * and end selectors. Paths are relative to the content element, i.e.
+ * '/p[2]' (or ':scope > p:nth-of-type(2)') is the second P child of the
+ * content element. Char offsets within the start and end elements are
+ * either given as TextPositionSelector refinements (W3C model):
+ *
+ * {
+ *   type: 'RangeSelector',
+ *   startSelector: { type: 'XPathSelector', value: '/p[2]', refinedBy: { type: 'TextPositionSelector', start: 4, end: 4 } },
+ *   endSelector: { type: 'XPathSelector', value: '/p[3]', refinedBy: { type: 'TextPositionSelector', start: 9, end: 9 } }
+ * }
+ *
+ * or as offsets next to XPath containers (the form used by Hypothesis
+ * and others):
+ *
+ * { type: 'RangeSelector', startContainer: '/p[2]', startOffset: 4, endContainer: '/p[3]', endOffset: 9 }
+ */
+
+const resolveXPath = (contentEl, path) => {
+  if (!path || path === '/' || path === '.')
+    return contentEl;
+
+  // Leading slash means the content element, not the document root
+  const relative = path.startsWith('/') ? `.${path}` : path;
+
+  try {
+    return contentEl.ownerDocument.evaluate(relative, contentEl, null,
+      XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+  } catch {
+    return null;
+  }
+}
+
+const resolveCss = (contentEl, selector) => {
+  if (!selector || selector === ':scope')
+    return contentEl;
+
+  try {
+    return contentEl.querySelector(selector);
+  } catch {
+    return null;
+  }
+}
+
+/** The index's char offset for the DOM point, in the configured offset unit **/
+const unitOffsetAt = (index, node, offset) =>
+  index.getUnits().fromUtf16(index.offsetAt(node, offset));
+
+/** Char offset of the given position inside the element, or null if out of bounds **/
+const offsetWithin = (element, charOffset, index) => {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE)
+    return null;
+
+  const start = unitOffsetAt(index, element, 0);
+  const end = unitOffsetAt(index, element, element.childNodes.length);
+
+  const offset = start + (charOffset || 0);
+  return offset <= end ? offset : null;
+}
+
+const resolveEndpoint = (selector, contentEl, index) => {
+  const { type, value, refinedBy } = selector || {};
+
+  const element =
+    type === 'XPathSelector' ? resolveXPath(contentEl, value) :
+    type === 'CssSelector' ? resolveCss(contentEl, value) : null;
+
+  const charOffset = refinedBy?.type === 'TextPositionSelector' ? refinedBy.start : 0;
+  return offsetWithin(element, charOffset, index);
+}
+
+/**
+ * Resolves the given RangeSelector to char offsets, using the OffsetIndex
+ * of the content element. Like the offsets in the RangeSelector, the
+ * result counts the configured offset unit (see OffsetUnits).
+ *
+ * @returns { start, end } or null, if the selector doesn't resolve
+ */
+export const resolveRangeSelector = (selector, contentEl, index) => {
+  const start = selector.startContainer !== undefined ?
+    offsetWithin(resolveXPath(contentEl, selector.startContainer), selector.startOffset, index) :
+    resolveEndpoint(selector.startSelector, contentEl, index);
+
+  const end = selector.endContainer !== undefined ?
+    offsetWithin(resolveXPath(contentEl, selector.endContainer), selector.endOffset, index) :
+    resolveEndpoint(selector.endSelector, contentEl, index);
+
+  return (start !== null && end !== null && start <= end) ? { start, end } : null;
+}
+
+/**
+ * The element that the selector for a DOM point is relative to: the
+ * deepest ancestor that can be reached from the content element without
+ * passing through a SPAN. Highlight SPANs come and go, and would shift
+ * the sibling positions of the host page's own SPANs.
+ *
+ * Paths can't reach into shadow trees - points inside a shadow root (or
+ * a slot) are relative to the shadow host.
+ */
+const getContainer = (node, contentEl, index) => {
+  const ancestors = [];
+
+  let el = node.nodeType === Node.ELEMENT_NODE ? node : flatParent(node);
+  while (el && el !== contentEl) {
+    ancestors.unshift(el);
+    el = flatParent(el);
+  }
+
+  const root = contentEl.getRootNode();
+
+  let container = contentEl;
+  for (const ancestor of ancestors) {
+    if (ancestor.localName === 'span' || index.isExcluded(ancestor) || ancestor.getRootNode() !== root)
+      break;
+
+    container = ancestor;
+  }
+
+  return container;
+}
+
+/** Position of the element among its siblings with the same tag name (1-based) **/
+const positionOfType = element => {
+  let position = 1;
+  let sibling = element.previousElementSibling;
+  while (sibling) {
+    if (sibling.localName === element.localName)
+      position += 1;
+
+    sibling = sibling.previousElementSibling;
+  }
+
+  return position;
+}
+
+const getPath = (element, contentEl) => {
+  const path = [];
+
+  let el = element;
+  while (el !== contentEl) {
+    path.unshift(el);
+    el = el.parentNode;
+  }
+
+  return path;
+}
+
+const toXPath = (element, contentEl) =>
+  '/' + getPath(element, contentEl).map(el => `${el.localName}[${positionOfType(el)}]`).join('/');
+
+const toCss = (element, contentEl) =>
+  [ ':scope', ...getPath(element, contentEl).map(el => `${el.localName}:nth-of-type(${positionOfType(el)})`) ].join(' > ');
+
+const createEndpoint = (node, offset, type, contentEl, index) => {
+  const container = getContainer(node, contentEl, index);
+  const charOffset = unitOffsetAt(index, node, offset) - unitOffsetAt(index, container, 0);
+
+  return {
+    type,
+    value: type === 'CssSelector' ? toCss(container, contentEl) : toXPath(container, contentEl),
+    refinedBy: { type: 'TextPositionSelector', start: charOffset, end: charOffset }
+  };
+}
+
+/**
+ * Creates a RangeSelector for the given DOM range. The 'type' of the
+ * start and end selectors is either 'XPathSelector' or 'CssSelector'.
+ */
+export const createRangeSelector = (range, contentEl, index, type = 'XPathSelector') => ({
+  type: 'RangeSelector',
+  startSelector: createEndpoint(range.startContainer, range.startOffset, type, contentEl, index),
+  endSelector: createEndpoint(range.endContainer, range.endOffset, type, contentEl, index)
+});
+
+/**
+ * Returns a new RangeSelector for the given range, in the same form
+ * (W3C or container/offset) and with the same type as the given one.
+ */
+export const updateRangeSelector = (selector, range, contentEl, index) => {
+  if (selector.startContainer !== undefined) {
+    const { startSelector, endSelector } = createRangeSelector(range, contentEl, index, 'XPathSelector');
+    return {
+      ...selector,
+      startContainer: startSelector.value,
+      startOffset: startSelector.refinedBy.start,
+      endContainer: endSelector.value,
+      endOffset: endSelector.refinedBy.start
+    };
+  }
+
+  const type = selector.startSelector?.type === 'CssSelector' ? 'CssSelector' : 'XPathSelector';
+  return { ...selector, ...createRangeSelector(range, contentEl, index, type) };
+}
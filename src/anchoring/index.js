@@ -0,0 +1,4 @@
+export * from './Anchoring';
+export * from './FuzzyMatch';
+export * from './RangeSelector';
+export * from './Fragments';
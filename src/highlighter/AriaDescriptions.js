@@ -0,0 +1,92 @@
+// Description IDs must be unique across instances on the page
+let instanceCount = 0;
+
+/** The text of the annotation's bodies (comments, tags...), read out by screen readers **/
+const getDescription = annotation =>
+  annotation.bodies
+    .map(body => body.value)
+    .filter(value => typeof value === 'string' && value.trim() !== '')
+    .join(', ');
+
+/**
+ * 'keyboard' mode: hidden elements with the text of each annotation's
+ * bodies, which the annotation spans reference via aria-describedby.
+ * An ID reference only works within the same tree, so there is one
+ * container in the document body, and one in each shadow root that
+ * has annotation spans.
+ */
+export default class AriaDescriptions {
+
+  constructor(doc) {
+    this.document = doc;
+    this.prefix = `r6o-description-${instanceCount++}`;
+    this.count = 0;
+
+    // Container elements, by root node
+    this.containers = new Map();
+
+    // Description elements, by annotation ID, and then by root node
+    this.elements = new Map();
+  }
+
+  _getContainer = root => {
+    let container = this.containers.get(root);
+
+    if (!container?.isConnected) {
+      container = this.document.createElement('div');
+      container.setAttribute('data-r6o-descriptions', '');
+      container.hidden = true;
+
+      (root.body || root).appendChild(container);
+      this.containers.set(root, container);
+    }
+
+    return container;
+  }
+
+  /**
+   * Creates or updates the description of the annotation in the given
+   * root node. Returns the ID of the description element, or null if the
+   * annotation has no body text.
+   */
+  describe = (annotation, root) => {
+    const description = getDescription(annotation);
+
+    const byRoot = this.elements.get(annotation.id) || new Map();
+    let el = byRoot.get(root);
+
+    if (!description) {
+      el?.parentNode?.removeChild(el);
+      byRoot.delete(root);
+      return null;
+    }
+
+    if (!el?.isConnected) {
+      el = this.document.createElement('div');
+      el.id = `${this.prefix}-${this.count++}`;
+      this._getContainer(root).appendChild(el);
+
+      byRoot.set(root, el);
+      this.elements.set(annotation.id, byRoot);
+    }
+
+    el.textContent = description;
+    return el.id;
+  }
+
+  remove = annotationId => {
+    this.elements.get(annotationId)?.forEach(el => el.parentNode?.removeChild(el));
+    this.elements.delete(annotationId);
+  }
+
+  clear = () => {
+    this.elements.forEach((_, id) => this.remove(id));
+  }
+
+  destroy = () => {
+    this.containers.forEach(container => container.parentNode?.removeChild(container));
+    this.containers.clear();
+    this.elements.clear();
+  }
+
+}
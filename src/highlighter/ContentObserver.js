@@ -0,0 +1,107 @@
+export const IS_MUTATION_OBSERVER_SUPPORTED =
+  typeof MutationObserver !== 'undefined';
+
+const IS_RESIZE_OBSERVER_SUPPORTED =
+  typeof ResizeObserver !== 'undefined';
+
+/**
+ * Watches the content element for changes made by the host page, e.g.
+ * injected or live-updated content. DOM changes the Highlighter makes
+ * itself (wrapping and unwrapping highlights) must run through .ignore,
+ * so that they don't get reported. Changes inside excluded elements
+ * (the relations layer) are never reported.
+ *
+ * The 'onMutation' callback is called once per animation frame at most,
+ * with the collected MutationRecords. The 'onResize' callback is called
+ * when the size of the content element changes (e.g. after an image
+ * has loaded), so that anything positioned on top can be updated.
+ */
+export default class ContentObserver {
+
+  constructor(contentEl, offsetIndex, onMutation, onResize) {
+    this.el = contentEl;
+    this.index = offsetIndex;
+    this.onMutation = onMutation;
+    this.onResize = onResize;
+
+    this.pending = [];
+    this.scheduled = false;
+
+    this.mutationObserver = new MutationObserver(this._onMutations);
+    this.mutationObserver.observe(contentEl, { childList: true, characterData: true, subtree: true });
+
+    if (IS_RESIZE_OBSERVER_SUPPORTED) {
+      this.resizeObserver = new ResizeObserver(() => this.onResize());
+      this.resizeObserver.observe(contentEl);
+    }
+  }
+
+  /** Watches the given shadow root, too (observing the same root again is a no-op) **/
+  observe = root =>
+    this.mutationObserver.observe(root, { childList: true, characterData: true, subtree: true });
+
+  destroy = () => {
+    this.mutationObserver.disconnect();
+    this.resizeObserver?.disconnect();
+    this.pending = [];
+  }
+
+  /** Runs the given DOM mutation without reporting it **/
+  ignore = mutate => {
+    // Don't swallow changes the host made before this one
+    this._onMutations(this.mutationObserver.takeRecords());
+
+    const result = mutate();
+
+    this.mutationObserver.takeRecords();
+    return result;
+  }
+
+  _isInsideExcluded = node => {
+    let n = node;
+    while (n && n !== this.el) {
+      if (n.nodeType === Node.ELEMENT_NODE && this.index.isExcluded(n))
+        return true;
+
+      n = n.parentNode;
+    }
+
+    return false;
+  }
+
+  _isRelevant = record => {
+    if (this._isInsideExcluded(record.target))
+      return false;
+
+    if (record.type === 'childList') {
+      const nodes = [ ...record.addedNodes, ...record.removedNodes ];
+      return nodes.some(node => !(node.nodeType === Node.ELEMENT_NODE && this.index.isExcluded(node)));
+    }
+
+    return true;
+  }
+
+  _onMutations = records => {
+    const relevant = records.filter(this._isRelevant);
+    if (relevant.length === 0)
+      return;
+
+    this.pending = this.pending.concat(relevant);
+
+    // Bursts of changes (e.g. a re-rendered paragraph) are handled in one go
+    if (!this.scheduled) {
+      this.scheduled = true;
+
+      requestAnimationFrame(() => {
+        const pending = this.pending;
+
+        this.pending = [];
+        this.scheduled = false;
+
+        if (pending.length > 0)
+          this.onMutation(pending);
+      });
+    }
+  }
+
+}
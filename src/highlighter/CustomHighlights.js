@@ -0,0 +1,280 @@
+export const IS_CUSTOM_HIGHLIGHT_SUPPORTED =
+  typeof CSS !== 'undefined' && !!CSS.highlights && typeof Highlight !== 'undefined';
+
+/**
+ * Stands in for an annotation <span> in 'highlights' render mode. A
+ * RangeSpan wraps one DOM Range, and provides the span properties
+ * the rest of the application relies on (.annotation, .dataset,
+ * client rects). Hit-test results additionally carry the 'stack'
+ * of all spans at the hit point.
+ */
+export class RangeSpan {
+
+  constructor(range, annotation, stack) {
+    this.range = range;
+    this.annotation = annotation;
+    this.dataset = {};
+    this.stack = stack;
+
+    // Names of the CSS highlights this span's range is registered with
+    this.names = new Set();
+
+    // Hidden spans keep their names, but are removed from the highlights
+    this.hidden = false;
+
+    // Highlight names and data attributes added by the formatter
+    this.formatNames = [];
+    this.formatData = [];
+  }
+
+  getClientRects = () =>
+    this.range.getClientRects();
+
+  getBoundingClientRect = () =>
+    this.range.getBoundingClientRect();
+
+  getAttribute = name =>
+    name.startsWith('data-') ? this.dataset[toCamelCase(name.substring(5))] : null;
+
+  setAttribute = (name, value) => {
+    if (name.startsWith('data-'))
+      this.dataset[toCamelCase(name.substring(5))] = value;
+  }
+
+}
+
+// The highlight registry is shared by all instances on the page - generated
+// highlight names get a per-instance prefix
+let instanceCount = 0;
+
+const toCamelCase = str =>
+  str.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+
+const containsPoint = (rects, x, y) => {
+  for (let i = 0; i < rects.length; i++) {
+    const { left, right, top, bottom } = rects[i];
+    if (x >= left && x <= right && y >= top && y <= bottom)
+      return true;
+  }
+
+  return false;
+}
+
+/**
+ * Paints annotations via the CSS Custom Highlight API, leaving the
+ * content DOM untouched. All ranges of an annotation are registered with
+ * the 'r6o-annotation' highlight, plus one highlight per CSS class name
+ * returned by the formatter. Host applications style them via
+ * ::highlight(<name>) rules. Inline styles returned by the formatter
+ * are turned into generated ::highlight rules.
+ */
+export default class CustomHighlights {
+
+  constructor(contentEl) {
+    this.el = contentEl;
+    this.document = contentEl.ownerDocument;
+
+    this.spans = new Set();
+    this.selectionSpans = [];
+
+    // Generated highlight names for formatter inline styles
+    this.styleNames = new Map();
+    this.styleEl = null;
+    this.stylePrefix = `r6o-style-${instanceCount++}`;
+  }
+
+  /** Returns the named highlight, registering it first, if necessary **/
+  _highlight = name => {
+    let highlight = CSS.highlights.get(name);
+    if (!highlight) {
+      highlight = new Highlight();
+
+      // Hover should always paint over regular annotations
+      if (name === 'hover-annotation')
+        highlight.priority = 1;
+
+      CSS.highlights.set(name, highlight);
+    }
+
+    return highlight;
+  }
+
+  _register = (span, name) => {
+    if (!span.hidden)
+      this._highlight(name).add(span.range);
+
+    span.names.add(name);
+  }
+
+  _unregister = (span, name) => {
+    CSS.highlights.get(name)?.delete(span.range);
+    span.names.delete(name);
+  }
+
+  add = (annotation, range) => {
+    const span = new RangeSpan(range, annotation);
+    this._register(span, 'r6o-annotation');
+    this.spans.add(span);
+    return [ span ];
+  }
+
+  remove = spans => spans.forEach(span => {
+    Array.from(span.names).forEach(name => this._unregister(span, name));
+    this.spans.delete(span);
+  });
+
+  clear = () =>
+    this.remove(Array.from(this.spans));
+
+  find = id =>
+    Array.from(this.spans).filter(span => span.dataset.id === id);
+
+  getAllAnnotations = () =>
+    [...new Set(Array.from(this.spans).map(span => span.annotation))];
+
+  setClass = (spans, name, enabled) => spans.forEach(span => {
+    if (enabled)
+      this._register(span, name);
+    else
+      this._unregister(span, name);
+  });
+
+  /** Stops (or resumes) painting the given spans, keeping their highlight names **/
+  setHidden = (spans, hidden) => spans.forEach(span => {
+    if (span.hidden !== hidden) {
+      span.hidden = hidden;
+      span.names.forEach(name => {
+        if (hidden)
+          CSS.highlights.get(name)?.delete(span.range);
+        else
+          this._highlight(name).add(span.range);
+      });
+    }
+  });
+
+  /** Returns a generated highlight name, with a ::highlight rule for the given CSS **/
+  _styleName = css => {
+    let name = this.styleNames.get(css);
+
+    if (!name) {
+      if (!this.styleEl) {
+        this.styleEl = this.document.createElement('style');
+        this.document.head.appendChild(this.styleEl);
+      }
+
+      name = `${this.stylePrefix}-${this.styleNames.size}`;
+      this.styleEl.sheet.insertRule(`::highlight(${name}) { ${css} }`, this.styleEl.sheet.cssRules.length);
+      this.styleNames.set(css, name);
+    }
+
+    return name;
+  }
+
+  /** Removes everything applyFormat added to the given spans **/
+  clearFormat = spans => spans.forEach(span => {
+    span.formatNames.forEach(name => this._unregister(span, name));
+    span.formatData.forEach(key => delete span.dataset[toCamelCase(key.substring(5))]);
+
+    span.formatNames = [];
+    span.formatData = [];
+  });
+
+  /**
+   * Applies the result of the Highlighter formatter to the given spans.
+   * See Highlighter.applyStyles for the format.
+   */
+  applyFormat = (spans, format) => {
+    let classNames = [];
+
+    if (format) {
+      if (typeof format === 'string' || format instanceof String) {
+        classNames = format.split(/\s+/);
+      } else {
+        const { className, style } = format;
+
+        if (className)
+          classNames = className.split(/\s+/);
+
+        if (style)
+          classNames.push(this._styleName(style));
+
+        for (const key in format) {
+          if (format.hasOwnProperty(key) && key.startsWith('data-') && key !== 'data-id')
+            spans.forEach(span => {
+              span.setAttribute(key, format[key]);
+              span.formatData.push(key);
+            });
+        }
+      }
+    }
+
+    classNames.filter(Boolean).forEach(name =>
+      spans.forEach(span => {
+        // Names the Highlighter manages itself are never owned by the formatter
+        if (!span.names.has(name)) {
+          this._register(span, name);
+          span.formatNames.push(name);
+        }
+      }));
+  }
+
+  /**
+   * Returns all spans at the given client coordinates. Narrows down the
+   * candidates via the caret position first (if the browser supports it),
+   * and then checks against the actual client rects.
+   */
+  getSpansAt = (x, y) => {
+    const doc = this.document;
+
+    let caret = null;
+    if (doc.caretPositionFromPoint) {
+      const pos = doc.caretPositionFromPoint(x, y);
+      if (pos) caret = { node: pos.offsetNode, offset: pos.offset };
+    } else if (doc.caretRangeFromPoint) {
+      const range = doc.caretRangeFromPoint(x, y);
+      if (range) caret = { node: range.startContainer, offset: range.startOffset };
+    }
+
+    const isCandidate = span => {
+      if (span.hidden)
+        return false;
+
+      if (!caret)
+        return true;
+
+      // Caret positions are retargeted to the shadow host for content
+      // inside shadow roots - rely on the client rects there
+      if (caret.node.getRootNode() !== span.range.startContainer.getRootNode())
+        return true;
+
+      try {
+        return span.range.isPointInRange(caret.node, caret.offset);
+      } catch {
+        return false;
+      }
+    }
+
+    return Array.from(this.spans).filter(span =>
+      isCandidate(span) && containsPoint(span.getClientRects(), x, y));
+  }
+
+  addSelection = range => {
+    // The browser may re-use the live selection range - keep a copy
+    const span = new RangeSpan(range.cloneRange());
+    this._register(span, 'r6o-selection');
+    this.selectionSpans.push(span);
+    return [ span ];
+  }
+
+  clearSelection = () => {
+    this.selectionSpans.forEach(span => this._unregister(span, 'r6o-selection'));
+    this.selectionSpans = [];
+  }
+
+  destroy = () => {
+    this.clear();
+    this.clearSelection();
+    this.styleEl?.parentNode?.removeChild(this.styleEl);
+  }
+
+}
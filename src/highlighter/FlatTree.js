@@ -0,0 +1,82 @@
+/**
+ * Helpers for the 'flat tree', i.e. the DOM as it is rendered: the
+ * contents of (open) shadow roots take the place of their host's
+ * children, and slotted nodes take the place of their slot.
+ */
+
+export const isShadowRoot = node =>
+  node?.nodeType === Node.DOCUMENT_FRAGMENT_NODE && !!node.host;
+
+const isSlot = node =>
+  node.localName === 'slot' && isShadowRoot(node.getRootNode());
+
+export const flatChildren = node => {
+  if (node.shadowRoot)
+    return Array.from(node.shadowRoot.childNodes);
+
+  if (isSlot(node)) {
+    // Slots without assigned nodes render their fallback content
+    const assigned = node.assignedNodes();
+    return assigned.length > 0 ? assigned : Array.from(node.childNodes);
+  }
+
+  return Array.from(node.childNodes);
+}
+
+export const flatParent = node => {
+  if (node.assignedSlot)
+    return node.assignedSlot;
+
+  const parent = node.parentNode;
+  return isShadowRoot(parent) ? parent.host : parent;
+}
+
+const flatAncestors = node => {
+  const chain = [];
+
+  let n = node;
+  while (n) {
+    chain.unshift(n);
+    n = flatParent(n);
+  }
+
+  return chain;
+}
+
+export const isFlatDescendant = (node, ancestor) => {
+  let n = node;
+  while (n) {
+    if (n === ancestor)
+      return true;
+
+    n = flatParent(n);
+  }
+
+  return false;
+}
+
+/**
+ * Compares the two nodes by flat tree order (pre-order, i.e. ancestors
+ * come before their descendants). Returns a negative number if a comes
+ * first, positive if b comes first, 0 if they are the same node.
+ */
+export const compareFlat = (a, b) => {
+  if (a === b)
+    return 0;
+
+  const chainA = flatAncestors(a);
+  const chainB = flatAncestors(b);
+
+  let i = 0;
+  while (i < chainA.length && i < chainB.length && chainA[i] === chainB[i])
+    i++;
+
+  if (i === chainA.length)
+    return -1; // a is an ancestor of b
+
+  if (i === chainB.length)
+    return 1; // b is an ancestor of a
+
+  const siblings = i > 0 ? flatChildren(chainA[i - 1]) : [];
+  return siblings.indexOf(chainA[i]) - siblings.indexOf(chainB[i]);
+}
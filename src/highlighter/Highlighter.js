@@ -1,44 +1,429 @@
+import EventEmitter from 'tiny-emitter';
+import {
+  anchor,
+  reanchor,
+  AnchoringFailure,
+  getAnchoringFailure,
+  resolveRangeSelector,
+  updateRangeSelector,
+  isFragmented,
+  getFragments,
+  joinFragments,
+  hasTextSelectors
+} from '../anchoring';
+import AriaDescriptions from './AriaDescriptions';
+import ContentObserver, { IS_MUTATION_OBSERVER_SUPPORTED } from './ContentObserver';
+import CustomHighlights, { IS_CUSTOM_HIGHLIGHT_SUPPORTED, RangeSpan } from './CustomHighlights';
+import { isShadowRoot, isFlatDescendant, compareFlat } from './FlatTree';
+import { layoutLanes } from './Lanes';
+import OffsetIndex from './OffsetIndex';
+import { OffsetUnit, IS_SEGMENTER_SUPPORTED } from './OffsetUnits';
+import SectionIndex from './SectionIndex';
+import ShadowStyles from './ShadowStyles';
+import TokenIndex from './TokenIndex';
+import Viewport, { IS_INTERSECTION_OBSERVER_SUPPORTED } from './Viewport';
+
 const RENDER_BATCH_SIZE = 100; // Number of annotations to render in one frame
 
+const DEFAULT_MAX_LANES = 3; // Overlaps beyond this are collapsed into a count badge
+
+const LANE_HIT_TOLERANCE = 2; // Max. distance (px) of a click from the lane underline
+
 const uniqueItems = items => Array.from(new Set(items))
 
-export default class Highlighter {
+/** Re-anchoring may leave the selectors as they were (e.g. if there's just a quote) **/
+const isSameTarget = (a, b) =>
+  JSON.stringify(a.target) === JSON.stringify(b.target);
+
+/** Annotation spans among (or inside) the nodes removed by the given MutationRecords **/
+const getRemovedSpans = records => records.reduce((spans, record) => {
+  Array.from(record.removedNodes || []).forEach(node => {
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      if (node.matches('.r6o-annotation'))
+        spans.push(node);
+
+      node.querySelectorAll('.r6o-annotation').forEach(span => spans.push(span));
+    }
+  });
+
+  return spans;
+}, []);
+
+/** The innermost event target, also inside shadow roots (evt.target gets retargeted to the host) **/
+const getEventTarget = evt =>
+  evt.composedPath?.()[0] || evt.target;
+
+/** The innermost element at the given client coordinates, also inside shadow roots **/
+const elementFromPoint = (doc, x, y) => {
+  let el = doc.elementFromPoint(x, y);
+
+  while (el?.shadowRoot) {
+    const inner = el.shadowRoot.elementFromPoint(x, y);
+    if (!inner || inner === el)
+      break;
+
+    el = inner;
+  }
+
+  return el;
+}
+
+/** Names of the CSS properties in the given style string **/
+const getStyleProperties = (doc, style) => {
+  const el = doc.createElement('span');
+  el.setAttribute('style', style);
+  return Array.from(el.style);
+}
+
+/**
+ * Records a User Timing measure from the given start time to now, so
+ * that it shows up in the browser's performance tools.
+ */
+const measure = (name, startTime) => {
+  try {
+    performance.measure(name, { start: startTime, end: performance.now() });
+  } catch {
+    // User Timing Level 3 not supported - skip
+  }
+}
+
+export default class Highlighter extends EventEmitter {
+
+  constructor(element, formatter, config = {}) {
+    super();
 
-  constructor(element, formatter) {
     this.el = element;
+    this.document = element.ownerDocument;
     this.formatter = formatter;
     this.highlightedAnnotationId = '';
+
+    // Visibility filter predicate (see setFilter)
+    this.filter = null;
+
+    // IDs of the annotations in the multi-selection (see 'multiSelect'), in
+    // the order they were selected
+    this.multiSelected = new Set();
+
+    // Char offset <-> DOM position lookup. Text inside elements matching
+    // 'ignoreSelector' (line numbers, footnote markers...) doesn't count.
+    // Whitespace is normalized, unless in 'pre' mode (see TextNormalizer).
+    this.index = new OffsetIndex(element, {
+      ignoreSelector: config.ignoreSelector,
+      preserveWhitespace: config.mode === 'pre',
+      offsetUnit: this._getOffsetUnit(config.offsetUnit)
+    });
+
+    // With 'sections', the content holds several independent documents. Each
+    // section element has its own source URI, and its own char offsets.
+    this.sections = config.sections ? this._initSections(config.sections) : null;
+
+    // In token mode, the content is pre-tokenized, with one element per
+    // token. Highlights always cover whole tokens.
+    this.tokens = config.tokenSelector ?
+      new TokenIndex(this.index, config.tokenSelector, config.tokenIdAttribute, this._queryAll) : null;
+
+    // Annotations that could not be anchored or rendered, by ID. They are
+    // kept, so that they don't get lost when the host saves annotations.
+    this.orphans = new Map();
+
+    // The char offsets (UTF-16, relative to the section, if any) each
+    // annotation's fragments were anchored at, by ID. They are kept here
+    // rather than in the annotation, which keeps the selectors as given.
+    this.offsets = new Map();
+
+    // In 'highlights' render mode, annotations are painted via the CSS
+    // Custom Highlight API, instead of wrapping them in SPANs
+    if (config.renderer === 'highlights') {
+      if (IS_CUSTOM_HIGHLIGHT_SUPPORTED) {
+        this.highlights = new CustomHighlights(element);
+
+        // No SPANs to attach mouse handlers to - hit-test instead
+        this.hoveredId = null;
+        this.el.addEventListener('mousemove', this._onMouseMove);
+        this.el.addEventListener('mouseleave', this._onMouseMove);
+      } else {
+        console.warn('CSS Custom Highlight API not supported - falling back to SPAN rendering');
+      }
+    }
+
+    // In lazy mode, only sections near the viewport get rendered. The
+    // Highlighter keeps track of all annotations, rendered or not.
+    if (config.lazyRender) {
+      if (IS_INTERSECTION_OBSERVER_SUPPORTED) {
+        this.annotations = new Map();
+        this.rendered = new Set();
+
+        // Annotations rendered on demand, which are exempt from teardown
+        this.pinned = new Set();
+
+        this.viewport = new Viewport(element, this.index, config.lazyRender, this._onViewportChange, this._getGlobalExtent);
+      } else {
+        console.warn('IntersectionObserver not supported - rendering all annotations');
+      }
+    }
+
+    // In 'lanes' overlap layout, each overlapping annotation gets its
+    // own underline, instead of blending background colors
+    if (config.overlapLayout === 'lanes') {
+      if (this.highlights) {
+        console.warn('Overlap lanes are not supported in \'highlights\' render mode');
+      } else {
+        this.maxLanes = config.maxLanes || DEFAULT_MAX_LANES;
+        this.laneLayout = { lanes: new Map(), overflow: new Map() };
+        this.el.classList.add('r6o-lanes');
+      }
+    }
+
+    // With 'keyboard', each annotation is a tab stop, described by the
+    // text of its bodies
+    if (config.keyboard) {
+      if (this.highlights)
+        console.warn('Keyboard navigation of annotations is not supported in \'highlights\' render mode');
+      else
+        this.descriptions = new AriaDescriptions(this.document);
+    }
+
+    // With 'observeContent', changes the host page makes to the content
+    // re-anchor the annotations
+    if (config.observeContent) {
+      if (IS_MUTATION_OBSERVER_SUPPORTED)
+        this.observer = new ContentObserver(element, this.index, this._onContentMutated, this._onContentResized);
+      else
+        console.warn('MutationObserver not supported - content changes will not be tracked');
+    }
+
+    // Style rules for the content inside shadow roots (see addShadowRule)
+    this.shadowRules = [];
+
+    this._syncShadowRoots();
+  }
+
+  /**
+   * Shadow roots the content lives in or contains. Selection must be
+   * read from them explicitly, and they need their own copy of the
+   * Recogito styles (see ShadowStyles).
+   */
+  getShadowRoots = () => {
+    const own = this.el.getRootNode();
+    return isShadowRoot(own) ? [ own, ...this.index.shadowRoots ] : this.index.shadowRoots;
+  }
+
+  /**
+   * The unit that selector offsets count (see OffsetUnits). Internally,
+   * offsets are always UTF-16 string offsets.
+   */
+  _getOffsetUnit = unit => {
+    if (!unit)
+      return OffsetUnit.UTF16;
+
+    if (!Object.values(OffsetUnit).includes(unit)) {
+      console.warn(`Unknown offset unit: ${unit} - using UTF-16 code units`);
+      return OffsetUnit.UTF16;
+    }
+
+    if (unit === OffsetUnit.GRAPHEME && !IS_SEGMENTER_SUPPORTED) {
+      console.warn('Intl.Segmenter not supported - counting code points instead of graphemes');
+      return OffsetUnit.CODEPOINT;
+    }
+
+    return unit;
+  }
+
+  /** Sections are given as { element, source }, with the element or its ID **/
+  _initSections = sections => sections.reduce((initialized, { element, source }) => {
+    const el = element?.nodeType ? element : this.el.querySelector(`#${CSS.escape(element)}`);
+
+    if (el && this.el.contains(el))
+      initialized.push(new SectionIndex(this.index, el, source));
+    else
+      console.warn(`Section for source ${source} not found in the content element`);
+
+    return initialized;
+  }, []);
+
+  /** Re-computes the section bounds, after the OffsetIndex was rebuilt **/
+  _refreshSections = () =>
+    this.sections?.forEach(section => section.refresh());
+
+  /**
+   * The section an annotation belongs to, by target source. Annotations
+   * without a source go to the first section. Returns undefined if there
+   * is no such section, or if there are no sections.
+   */
+  getSection = annotation => {
+    if (!this.sections)
+      return;
+
+    const { source } = annotation.targets[0] || {};
+    return source ?
+      this.sections.find(section => section.source === source) : this.sections[0];
+  }
+
+  /** The section that contains the given DOM node, if any **/
+  getSectionAt = node =>
+    this.sections?.find(section => section.contains(node));
+
+  /**
+   * The index that the annotation's char offsets refer to: the
+   * annotation's section, if there are sections, or the OffsetIndex of
+   * the whole content. Null if the annotation's section doesn't exist.
+   */
+  _indexFor = annotation =>
+    this.sections ? (this.getSection(annotation) || null) : this.index;
+
+  /** The index for the given target source (see _indexFor) **/
+  _indexForSource = source =>
+    this._indexFor({ targets: [{ source }] });
+
+  /**
+   * The index that a selection of the given DOM range refers to (see
+   * _indexFor). Null if the range isn't inside one section.
+   */
+  indexForRange = range => {
+    if (!this.sections)
+      return this.index;
+
+    const section = this.getSectionAt(range.startContainer);
+    return section?.contains(range.endContainer) ? section : null;
+  }
+
+  /**
+   * The char offsets of the block around the given char offset (see
+   * OffsetIndex.blockAt), in the whole content - but not beyond the
+   * section that contains the offset, if any.
+   */
+  blockAt = offset => {
+    const block = this.index.blockAt(offset);
+
+    const section = this.sections?.find(s => s.start <= offset && offset < s.end);
+    return section ?
+      { start: Math.max(block.start, section.start), end: Math.min(block.end, section.end) } : block;
+  }
+
+  /** The annotation's extent, in char offsets of the whole content **/
+  _getGlobalExtent = annotation => {
+    const offsets = this.getFragmentOffsets(annotation);
+
+    const index = this._indexFor(annotation);
+    const base = index ? this._baseOf(index) : 0;
+
+    return {
+      start: base + Math.min(...offsets.map(o => o.start)),
+      end: base + Math.max(...offsets.map(o => o.end))
+    };
+  }
+
+  /**
+   * The char offsets ({ start, end }, UTF-16) of each of the annotation's
+   * fragments, relative to its section (if any), as resolved by anchoring.
+   */
+  getFragmentOffsets = annotation => {
+    const offsets = this.offsets.get(annotation.id);
+    if (offsets)
+      return offsets;
+
+    // Not anchored by the Highlighter - go by the TextPositionSelectors
+    const units = this._indexFor(annotation)?.getUnits();
+    return getFragments(annotation).map(f => units ? units.toUtf16Range(f) : { start: f.start, end: f.end });
+  }
+
+  /** The number of chars covered by the annotation, across all fragments **/
+  _getCoveredLength = annotation =>
+    this.getFragmentOffsets(annotation).reduce((total, { start, end }) => total + end - start, 0);
+
+  /** Copies the current styles into the shadow roots, and observes new ones **/
+  _syncShadowRoots = () => {
+    const roots = this.getShadowRoots();
+    if (roots.length === 0)
+      return;
+
+    this.shadowStyles = this.shadowStyles || new ShadowStyles(this.document);
+    this._mutate(() => this.shadowStyles.update(roots, this.index.shadowRoots, this.shadowRules));
+
+    // Mutations inside shadow roots don't reach the content element's observer
+    this.index.shadowRoots.forEach(root => this.observer?.observe(root));
+  }
+
+  /**
+   * Adds a style rule for the content inside shadow roots. Document rules
+   * that are scoped to the content element don't reach into them.
+   */
+  addShadowRule = css => {
+    this.shadowRules.push(css);
+    this._syncShadowRoots();
+  }
+
+  /** Like el.contains, but also looks inside shadow roots **/
+  contains = node =>
+    this.index.isFlat ? isFlatDescendant(node, this.el) : this.el.contains(node);
+
+  /** Like el.querySelectorAll, but also looks inside shadow roots (results in flat tree order) **/
+  _queryAll = selector => {
+    if (!this.index.isFlat)
+      return Array.from(this.el.querySelectorAll(selector));
+
+    return [ this.el, ...this.index.shadowRoots ]
+      .reduce((all, root) => all.concat(Array.from(root.querySelectorAll(selector))), [])
+      .sort(compareFlat);
+  }
+
+  destroy = () => {
+    this.viewport?.destroy();
+    this.observer?.destroy();
+    this.shadowStyles?.destroy();
+    this._mutate(() => this.descriptions?.destroy());
+
+    if (this.highlights) {
+      this.el.removeEventListener('mousemove', this._onMouseMove);
+      this.el.removeEventListener('mouseleave', this._onMouseMove);
+      this.highlights.destroy();
+    }
   }
 
   init = (annotations) =>
     new Promise((resolve, _) => {
       const startTime = performance.now();
 
-      // Discard annotations without a TextPositionSelector or of type 'shadow'
+      // Discard annotations without text selectors or of type 'shadow'
       const highlights = annotations.filter(
-          (a) => a.selector('TextPositionSelector') && a.type !== 'shadow'
-      );
+          (a) => hasTextSelectors(a) && a.type !== 'shadow'
+      ).map(this._anchorAnnotation).filter(Boolean);
+
+      measure('r6o:anchor', startTime);
+
+      if (this.viewport) {
+        // Rendering happens when sections come into view
+        highlights.forEach(this._storeAnnotation);
+        this._layoutLanes();
+        this._syncShadowRoots();
+        resolve();
+        return;
+      }
 
-      // Sorting bottom to top significantly speeds things up,
-      // because walkTextNodes will have a lot less to walk
-      highlights.sort((a, b) => b.start - a.start);
+      // Render bottom to top, so that nesting of overlapping
+      // highlights is consistent
+      highlights.sort((a, b) => this._getGlobalExtent(b).start - this._getGlobalExtent(a).start);
 
-      // Render loop
-      const render = (annotations) => {
-        const batch = annotations.slice(0, RENDER_BATCH_SIZE);
-        const remainder = annotations.slice(RENDER_BATCH_SIZE);
+      const renderStartTime = performance.now();
 
+      // Render loop
+      const render = from => {
         requestAnimationFrame(() => {
-          batch.forEach(this._addAnnotation);
-          if (remainder.length > 0) {
-            render(remainder);
+          const to = Math.min(from + RENDER_BATCH_SIZE, highlights.length);
+          for (let i = from; i < to; i++)
+            this._renderAnnotation(highlights[i]);
+
+          if (to < highlights.length) {
+            render(to);
           } else {
-            console.log(`Rendered ${highlights.length}, took ${performance.now() - startTime}ms`);
+            measure('r6o:render', renderStartTime);
+            this._layoutLanes();
+            this._syncShadowRoots();
             resolve();
           }
         });
       };
-      render(highlights);
+      render(0);
     });
 
   _addAnnotation = (annotation) => {
@@ -49,69 +434,655 @@ export default class Highlighter {
       return;
     }
 
+    const anchored = this._anchorAnnotation(annotation);
+    if (anchored) {
+      if (this.viewport)
+        this._storeAnnotation(anchored);
+      else
+        this._renderAnnotation(anchored);
+    }
+  };
+
+  /**
+   * Lazy mode: adds the annotation to the store, and renders it right away
+   * if it is near the viewport (or not inside any section).
+   */
+  _storeAnnotation = annotation => {
+    this.annotations.set(annotation.id, annotation);
+
+    const sections = this.viewport.assign(annotation);
+    if (sections.length === 0 || this.viewport.isNear(annotation))
+      this._renderStored(annotation);
+  }
+
+  /** Lazy mode: removes the annotation from the store **/
+  _forgetAnnotation = id => {
+    const annotation = this.annotations.get(id);
+    if (annotation) {
+      this.viewport.unassign(annotation);
+      this.annotations.delete(id);
+      this.rendered.delete(id);
+      this.pinned.delete(id);
+    }
+  }
+
+  _renderStored = annotation => {
+    if (!this.rendered.has(annotation.id)) {
+      if (this._renderAnnotation(annotation))
+        this.rendered.add(annotation.id);
+    }
+  }
+
+  _onViewportChange = ({ entered, left }) => {
+    this.viewport.annotationIdsIn(entered).forEach(id =>
+      this._renderStored(this.annotations.get(id)));
+
+    this.viewport.annotationIdsIn(left).forEach(id => {
+      const annotation = this.annotations.get(id);
+
+      const isTeardown = this.rendered.has(id) &&
+        !this.pinned.has(id) && !this.viewport.isKept(annotation);
+
+      if (isTeardown) {
+        this._removeSpans(this._findSpans(id));
+        this.rendered.delete(id);
+      }
+    });
+  }
+
+  /**
+   * Resolves the annotation's text selectors against the current
+   * content. If the annotation had to be re-anchored (because the
+   * TextPositionSelector no longer matches the quote), emits a
+   * 'reanchor' event with the corrected annotation.
+   *
+   * Annotations that only have a RangeSelector are resolved through the
+   * DOM. The resolved offsets are kept in this.offsets, not added to the
+   * annotation as a TextPositionSelector.
+   *
+   * Discontinuous annotations are anchored fragment by fragment. If one
+   * fragment fails, the whole annotation fails.
+   *
+   * With sections, the annotation is anchored in the section of its
+   * target source.
+   *
+   * @returns the (possibly corrected) annotation, or null if anchoring failed
+   */
+  _anchorAnnotation = annotation => {
+    const index = this._indexFor(annotation);
+    if (!index) {
+      this._orphan(annotation, AnchoringFailure.UNKNOWN_SOURCE);
+      return null;
+    }
+
+    const fragments = getFragments(annotation);
+    const results = fragments.map(f => this._anchorFragment(f, index));
+
+    const failed = results.indexOf(null);
+    if (failed > -1) {
+      this._orphan(annotation, getAnchoringFailure(fragments[failed]));
+      return null;
+    }
+
+    this.offsets.set(annotation.id, results.map(r => r.offsets));
+
+    if (!results.some(r => r.moved))
+      return annotation;
+
+    const anchored = isFragmented(annotation) ?
+      joinFragments(annotation, results.map(r => r.fragment)) : results[0].fragment;
+
+    if (isSameTarget(anchored, annotation))
+      return annotation;
+
+    this.emit('reanchor', anchored, annotation);
+    return anchored;
+  }
+
+  /**
+   * @returns { fragment, offsets, moved } with the (possibly corrected)
+   * fragment and its UTF-16 offsets, or null
+   */
+  _anchorFragment = (fragment, index) => {
+    // Selector offsets count the configured unit, anchoring works on the string
+    const position = this._resolvePosition(fragment, index);
+    let anchored = anchor(fragment, index.getText(), position && index.getUnits().toUtf16Range(position));
+
+    if (!anchored)
+      return null;
+
+    if (this.tokens)
+      anchored = this._snapToTokens(anchored, index);
+
+    const offsets = { start: anchored.start, end: anchored.end };
+
+    if (!anchored.moved)
+      return { fragment, offsets, moved: false };
+
+    const replacements = {
+      ...this._getRangeReplacement(fragment, anchored, index),
+      ...this._getTokenReplacement(fragment, anchored, index)
+    };
+
+    return { fragment: this._reanchor(fragment, anchored, index, replacements), offsets, moved: true };
+  }
+
+  /** Like reanchor, but with the TextPositionSelector (if any) in the configured offset unit **/
+  _reanchor = (fragment, anchored, index, replacements = {}) => {
+    const position = fragment.selector('TextPositionSelector');
+
+    const updated = position ?
+      { ...replacements, TextPositionSelector: { ...position, ...index.getUnits().fromUtf16Range(anchored) } } : replacements;
+
+    return reanchor(fragment, anchored, index.getText(), updated);
+  }
+
+  /** Offset of the given index in the whole content (sections are views on the OffsetIndex) **/
+  _baseOf = index =>
+    index === this.index ? 0 : index.start;
+
+  /**
+   * Token mode: moves the anchor to the boundaries of the tokens it
+   * overlaps. If that changes the anchor, the annotation counts as moved.
+   */
+  _snapToTokens = (anchored, index) => {
+    const base = this._baseOf(index);
+    const snapped = this.tokens.snap({ start: base + anchored.start, end: base + anchored.end });
+
+    const start = snapped.start - base;
+    const end = snapped.end - base;
+
+    return start === anchored.start && end === anchored.end ?
+      anchored : { start, end, moved: true };
+  }
+
+  /**
+   * The TextPositionSelector, or the position resolved from the
+   * TokenSelector (in token mode) or the RangeSelector.
+   */
+  _resolvePosition = (annotation, index) => {
+    const position = annotation.selector('TextPositionSelector');
+    if (position)
+      return position;
+
+    const tokenSelector = this.tokens && annotation.selector('TokenSelector');
+    const resolved = tokenSelector && this.tokens.resolve(tokenSelector);
+    if (resolved) {
+      const base = this._baseOf(index);
+      return index.getUnits().fromUtf16Range({ start: resolved.start - base, end: resolved.end - base });
+    }
+
+    // RangeSelector paths are relative to the section element
+    const range = annotation.selector('RangeSelector');
+    return range ? resolveRangeSelector(range, index.root, index) : null;
+  }
+
+  /** Token mode: if the annotation has a TokenSelector, the updated one for its new anchor **/
+  _getTokenReplacement = (annotation, { start, end }, index) => {
+    if (!this.tokens || !annotation.selector('TokenSelector'))
+      return {};
+
+    const base = this._baseOf(index);
+    const selector = this.tokens.getSelectorAt({ start: base + start, end: base + end });
+    return selector ? { TokenSelector: selector } : {};
+  }
+
+  /** If the annotation has a RangeSelector, the updated one for its new anchor **/
+  _getRangeReplacement = (annotation, { start, end }, index) => {
+    const selector = annotation.selector('RangeSelector');
+    if (!selector)
+      return {};
+
+    const domStart = index.positionAt(start);
+    const domEnd = index.positionAt(end, true);
+
+    // Not a live Range, which can't cross shadow boundaries
+    const range = {
+      startContainer: domStart.node,
+      startOffset: domStart.offset,
+      endContainer: domEnd.node,
+      endOffset: domEnd.offset
+    };
+
+    return { RangeSelector: updateRangeSelector(selector, range, index.root, index) };
+  }
+
+  /**
+   * Moves the annotation to the orphan store, and emits an 'anchoringFailed'
+   * event with the reason (see AnchoringFailure).
+   */
+  _orphan = (annotation, reason) => {
+    console.warn(`Could not anchor annotation: ${reason}`);
+    console.warn(annotation.underlying);
+
+    this.orphans.set(annotation.id, annotation);
+    this.offsets.delete(annotation.id);
+
+    this.emit('anchoringFailed', annotation, reason);
+  }
+
+  getOrphanedAnnotations = () =>
+    Array.from(this.orphans.values());
+
+  /** Runs a DOM mutation of the Highlighter's own, which the ContentObserver must not report **/
+  _mutate = fn =>
+    this.observer ? this.observer.ignore(fn) : fn();
+
+  /**
+   * 'observeContent' mode: the host page changed the content. Re-indexes
+   * the text, and checks each annotation against its rendered highlight:
+   *
+   * - if the highlight still covers the quote, the annotation stays, and
+   *   gets re-anchored if its char offsets have shifted
+   * - if the highlight was removed, or the text inside it changed, the
+   *   annotation is anchored from scratch (or orphaned, if that fails)
+   *
+   * Emits a 'contentChanged' event with the annotations whose quote no
+   * longer matched.
+   */
+  _onContentMutated = records => {
+    this.index.build();
+    this._refreshSections();
+    this.tokens?.build();
+
+    const annotations = this.getAllAnnotations();
+
+    // In SPAN mode, annotations whose spans were removed altogether can
+    // only be found through the mutation records
+    if (!this.highlights && !this.viewport) {
+      const ids = new Set(annotations.map(a => a.id));
+      getRemovedSpans(records).forEach(({ annotation }) => {
+        if (annotation && !ids.has(annotation.id)) {
+          ids.add(annotation.id);
+          annotations.push(annotation);
+        }
+      });
+    }
+
+    // Section offsets are outdated - re-assign everything below
+    if (this.viewport)
+      this.viewport.refresh();
+
+    const mismatched = [];
+
+    annotations.forEach(annotation => {
+      const spans = this._findSpans(annotation.id);
+      const fragments = getFragments(annotation);
+
+      const wasRendered = !this.viewport || this.rendered.has(annotation.id);
+
+      const index = this._indexFor(annotation);
+
+      const located = index && spans.length > 0 ? this._locateFragments(fragments, spans, index) : null;
+
+      const isIntact = located?.every(({ quote }, idx) =>
+        fragments[idx].quote === undefined || fragments[idx].quote === quote);
+
+      if (isIntact) {
+        const offsets = this.getFragmentOffsets(annotation);
+
+        const isMoved = located.some(({ start, end }, idx) =>
+          offsets[idx].start !== start || offsets[idx].end !== end);
+
+        let current = annotation;
+        if (isMoved) {
+          this.offsets.set(annotation.id, located.map(({ start, end }) => ({ start, end })));
+
+          const reanchored = joinFragments(annotation, fragments.map((fragment, idx) => {
+            const replacements = {
+              ...this._getRangeReplacement(fragment, located[idx], index),
+              ...this._getTokenReplacement(fragment, located[idx], index)
+            };
+
+            return this._reanchor(fragment, located[idx], index, replacements);
+          }));
+
+          if (!isSameTarget(reanchored, annotation)) {
+            current = reanchored;
+            this.bindAnnotation(current, spans);
+            this.emit('reanchor', current, annotation);
+          }
+        }
+
+        if (this.viewport) {
+          this.annotations.set(current.id, current);
+          this.viewport.assign(current);
+        }
+      } else {
+        // Unrendered annotations (lazy mode) only count if they can't be found at all
+        if (wasRendered)
+          mismatched.push(annotation);
+
+        this._removeSpans(spans.filter(this._isAttached));
+
+        if (this.viewport)
+          this._forgetAnnotation(annotation.id);
+
+        const anchored = this._anchorAnnotation(annotation);
+        if (anchored) {
+          if (this.viewport)
+            this._storeAnnotation(anchored);
+          else
+            this._renderAnnotation(anchored);
+        } else if (!wasRendered) {
+          mismatched.push(annotation);
+        }
+      }
+    });
+
+    this._layoutLanes();
+
+    // The host may have added new shadow roots
+    this._syncShadowRoots();
+
+    this.emit('contentChanged', mismatched);
+  }
+
+  /** The content changed size, so highlight positions may have changed **/
+  _onContentResized = () =>
+    this.emit('contentChanged', []);
+
+  /**
+   * The current char offsets and text of each fragment's rendered spans,
+   * or null if a fragment's spans are no longer attached to the content.
+   * Offsets are relative to the given (OffsetIndex or SectionIndex) index.
+   */
+  _locateFragments = (fragments, spans, index) => {
+    const text = index.getText();
+
+    const located = fragments.map((_, idx) => {
+      const fragmentSpans = this._inDocumentOrder(spans.filter(span => (span.fragmentIndex || 0) === idx));
+      if (fragmentSpans.length === 0 || !fragmentSpans.every(this._isAttached))
+        return null;
+
+      const first = fragmentSpans[0];
+      const last = fragmentSpans[fragmentSpans.length - 1];
+
+      const start = first instanceof RangeSpan ?
+        index.offsetAt(first.range.startContainer, first.range.startOffset) : index.offsetAt(first, 0);
+
+      const end = last instanceof RangeSpan ?
+        index.offsetAt(last.range.endContainer, last.range.endOffset) : index.offsetAt(last, last.childNodes.length);
+
+      return { start, end, quote: text.substring(start, end) };
+    });
+
+    return located.every(Boolean) ? located : null;
+  }
+
+  _isAttached = span =>
+    span instanceof RangeSpan ?
+      this.contains(span.range.startContainer) && this.contains(span.range.endContainer) :
+      this.contains(span);
+
+  getOrphan = annotationOrId =>
+    this.orphans.get(annotationOrId?.id || annotationOrId);
+
+  /** The annotation with the given ID, whether rendered, stored for lazy rendering or orphaned **/
+  getAnnotationById = id =>
+    this._getAnnotation(id) || this.getOrphan(id);
+
+  /**
+   * Renders all fragments of the annotation. The spans of all fragments
+   * are bound to the same annotation, so that they behave as one unit.
+   *
+   * @returns true if the annotation was rendered, false if it was orphaned
+   */
+  _renderAnnotation = annotation => {
+    const spans = [];
+    const index = this._indexFor(annotation);
+
     try {
-      const [domStart, domEnd] = this.charOffsetsToDOMPosition([annotation.start, annotation.end]);
+      this.getFragmentOffsets(annotation).forEach(({ start, end }, fragmentIndex) => {
+        const fragmentSpans = this._rangesAt(start, end, index).reduce((all, range) =>
+          all.concat(this.highlights ? this.highlights.add(annotation, range) : this.wrapRange(range)), []);
 
-      const range = document.createRange();
-      range.setStart(domStart.node, domStart.offset);
-      range.setEnd(domEnd.node, domEnd.offset);
+        // Nothing to show (and nothing getAllAnnotations could find)
+        if (fragmentSpans.length === 0)
+          throw new Error('Empty range');
 
-      const spans = this.wrapRange(range);
+        fragmentSpans.forEach(span => {
+          span.fragmentIndex = fragmentIndex;
+          spans.push(span);
+        });
+      });
 
       this.bindAnnotation(annotation, spans);
+
+      if (!this.highlights)
+        this._bindHover(spans);
+
+      if (this.descriptions)
+        this._bindKeyboard(annotation, spans);
+
       this.applyStyles(annotation, spans);
+
+      if (this.filter)
+        this._applyVisibility(spans);
+
+      if (this.multiSelected.has(annotation.id))
+        this._markSelected(spans, true);
+
+      if (this.laneLayout)
+        this._applyLanes(spans);
+
+      return true;
     } catch (error) {
-      console.warn('Could not render annotation');
       console.warn(error);
-      console.warn(annotation.underlying);
+
+      // Don't leave fragments behind
+      this._removeSpans(spans);
+
+      if (this.viewport)
+        this._forgetAnnotation(annotation.id);
+
+      this._orphan(annotation, AnchoringFailure.RENDER_FAILED);
+      return false;
     }
   };
 
+  /**
+   * 'lanes' overlap layout: re-computes the lanes for all annotations, and
+   * re-applies them to the rendered spans. (Adding or removing a single
+   * annotation can shift the lanes of everything it overlaps.)
+   */
+  _layoutLanes = () => {
+    if (!this.laneLayout)
+      return;
+
+    // Hidden annotations don't take up a lane
+    this.laneLayout = layoutLanes(this.getVisibleAnnotations(), this.maxLanes, this._getGlobalExtent);
+    this._applyLanes(this._getAllSpans());
+  }
+
+  /**
+   * Sets the lane (a CSS variable for the underline offset) on the given
+   * spans. Spans beyond the max. number of lanes are hidden, and the last
+   * span of their carrier annotation gets the count badge.
+   */
+  _applyLanes = spans => {
+    const { lanes, overflow } = this.laneLayout;
+
+    spans.forEach(span => {
+      const { id } = span.annotation;
+      const lane = lanes.get(id) || 0;
+
+      span.style.setProperty('--r6o-lane', lane);
+
+      if (lane >= this.maxLanes)
+        span.setAttribute('data-r6o-lane-hidden', '');
+      else
+        span.removeAttribute('data-r6o-lane-hidden');
+
+      span.removeAttribute('data-r6o-overflow');
+    });
+
+    const carrierIds = new Set(spans.map(span => span.annotation.id).filter(id => overflow.has(id)));
+    carrierIds.forEach(id => {
+      const carrierSpans = this._findSpans(id);
+      carrierSpans[carrierSpans.length - 1]?.setAttribute('data-r6o-overflow', `+${overflow.get(id)}`);
+    });
+  }
+
+  /**
+   * 'lanes' overlap layout: returns the span whose lane underline is under
+   * the given mouse event, if any. This allows users to pick exactly the
+   * annotation they clicked, rather than the shortest one at that point.
+   */
+  getLaneSpanAt = evt => {
+    if (!this.laneLayout)
+      return null;
+
+    let best = null;
+    let bestDistance = LANE_HIT_TOLERANCE;
+
+    // Nested spans in the hit stack each draw their own underline
+    let span = getEventTarget(evt).closest?.('.r6o-annotation');
+    while (span?.classList.contains('r6o-annotation')) {
+      if (!span.hasAttribute('data-r6o-lane-hidden') && !span.hasAttribute('data-r6o-hidden')) {
+        const underline = parseFloat(this.document.defaultView.getComputedStyle(span).borderBottomWidth) || 0;
+
+        for (const rect of Array.from(span.getClientRects())) {
+          if (evt.clientX >= rect.left && evt.clientX <= rect.right) {
+            const distance = Math.abs(evt.clientY - (rect.bottom - underline / 2));
+            if (distance <= bestDistance) {
+              best = span;
+              bestDistance = distance;
+            }
+          }
+        }
+      }
+
+      span = span.parentElement;
+    }
+
+    return best;
+  }
+
   findAnnotationSpans = (annotationOrId) => {
     const id = annotationOrId?.id || annotationOrId;
-    const elements = document.querySelectorAll(`.r6o-annotation[data-id="${id}"]`);
+
+    // In lazy mode, render on demand if necessary
+    if (this.viewport && this.annotations.has(id) && !this.rendered.has(id)) {
+      this._renderStored(this.annotations.get(id));
+      this.pinned.add(id);
+    }
+
+    const elements = this._findSpans(id);
     if (!elements || elements?.length === 0) {
       console.warn(`No elements found for annotation with id: ${id}`);
       return [];
     }
-    return Array.from(elements);
+    return elements;
   }
 
+  /** Currently rendered spans for the given annotation ID **/
+  _findSpans = id =>
+    this.highlights ?
+      this.highlights.find(id) : this._queryAll(`.r6o-annotation[data-id="${id}"]`);
+
+  /** All rendered spans (or RangeSpans, in 'highlights' render mode) **/
+  _getAllSpans = () =>
+    this.highlights ?
+      Array.from(this.highlights.spans) : this._queryAll('.r6o-annotation');
+
   getAllAnnotations = () => {
-    const allAnnotationSpans = this.el.querySelectorAll('.r6o-annotation');
-    const allAnnotations = Array.from(allAnnotationSpans).map(span => span.annotation);
+    if (this.viewport)
+      return Array.from(this.annotations.values());
+
+    if (this.highlights)
+      return this.highlights.getAllAnnotations();
+
+    const allAnnotationSpans = this._queryAll('.r6o-annotation');
+    const allAnnotations = allAnnotationSpans.map(span => span.annotation);
     return [...new Set(allAnnotations)];
   }
 
   addOrUpdateAnnotation = (annotation, maybePrevious) => {
-    const annoSpans = this.findAnnotationSpans(annotation);
-    const prevSpans = maybePrevious ? this.findAnnotationSpans(maybePrevious) : [];
+    const annoSpans = this._findSpans(annotation.id);
+    const prevSpans = maybePrevious ? this._findSpans(maybePrevious.id) : [];
     const spans = uniqueItems(annoSpans.concat(prevSpans));
 
     // Remove existing highlights
-    if (spans.length > 0) {
-      this._unwrapHighlightings(spans);
-      this.el.normalize();
+    if (spans.length > 0)
+      this._removeSpans(spans);
+
+    if (this.viewport) {
+      this._forgetAnnotation(annotation.id);
+      if (maybePrevious)
+        this._forgetAnnotation(maybePrevious.id);
+    }
+
+    // An update may re-attach an orphan
+    this.orphans.delete(annotation.id);
+    if (maybePrevious)
+      this.orphans.delete(maybePrevious.id);
+
+    if (maybePrevious && maybePrevious.id !== annotation.id) {
+      this.offsets.delete(maybePrevious.id);
+      this._mutate(() => this.descriptions?.remove(maybePrevious.id));
     }
 
     // Only add annotation if it's not of type 'shadow'
     if (annotation.type !== 'shadow') {
       this._addAnnotation(annotation);
     }
+
+    this._layoutLanes();
+
+    // The formatter may have generated new highlight styles
+    this._syncShadowRoots();
   };
 
   removeAnnotation = annotation => {
-    const spans = this.findAnnotationSpans(annotation);
-    if (spans) {
-      this._unwrapHighlightings(spans)
-      this.el.normalize();
-    }
+    const id = annotation?.id || annotation;
+
+    const spans = this._findSpans(id);
+    if (spans)
+      this._removeSpans(spans);
+
+    if (this.viewport)
+      this._forgetAnnotation(id);
+
+    this.orphans.delete(id);
+    this.offsets.delete(id);
+    this.multiSelected.delete(id);
+
+    this._mutate(() => this.descriptions?.remove(id));
+
+    this._layoutLanes();
   }
 
   clear = () => {
-    const allAnnotationSpans = Array.from(this.el.querySelectorAll('.r6o-annotation'));
-    this._unwrapHighlightings(allAnnotationSpans);
-    this.el.normalize();
+    this.orphans.clear();
+    this.offsets.clear();
+    this.multiSelected.clear();
+
+    this._mutate(() => this.descriptions?.clear());
+
+    if (this.viewport) {
+      this.viewport.clear();
+      this.annotations.clear();
+      this.rendered.clear();
+      this.pinned.clear();
+    }
+
+    if (this.highlights) {
+      this.highlights.clear();
+    } else {
+      // Bulk-unwrap and re-index from scratch, rather than span by span
+      const allAnnotationSpans = this._queryAll('.r6o-annotation');
+      this._mutate(() => {
+        this._unwrapHighlightings(allAnnotationSpans);
+        [ this.el, ...this.index.shadowRoots ].forEach(root => root.normalize());
+      });
+      this.index.build();
+      this._refreshSections();
+      this.tokens?.build();
+    }
+
+    if (this.laneLayout)
+      this.laneLayout = { lanes: new Map(), overflow: new Map() };
   }
 
   /**
@@ -122,15 +1093,84 @@ export default class Highlighter {
    * @returns the updated annotation for convenience
    */
   overrideId = (originalId, forcedId) => {
-    const allSpans = document.querySelectorAll(`.r6o-annotation[data-id="${originalId}"]`);
+    const allSpans = this.findAnnotationSpans(originalId);
     const annotation = allSpans[0].annotation;
 
     const updatedAnnotation = annotation.clone({ id : forcedId });
     this.bindAnnotation(updatedAnnotation, allSpans);
 
+    if (this.offsets.has(originalId)) {
+      this.offsets.set(forcedId, this.offsets.get(originalId));
+      this.offsets.delete(originalId);
+    }
+
+    if (this.multiSelected.has(originalId))
+      this.multiSelected = new Set([ ...this.multiSelected ].map(id => id === originalId ? forcedId : id));
+
+    if (this.descriptions) {
+      this._mutate(() => this.descriptions.remove(originalId));
+      this._bindKeyboard(updatedAnnotation, allSpans);
+    }
+
+    if (this.viewport) {
+      const isPinned = this.pinned.has(originalId);
+
+      this._forgetAnnotation(originalId);
+      this.annotations.set(forcedId, updatedAnnotation);
+      this.viewport.assign(updatedAnnotation);
+      this.rendered.add(forcedId);
+
+      if (isPinned)
+        this.pinned.add(forcedId);
+    }
+
+    this._layoutLanes();
+
     return updatedAnnotation;
   }
 
+  _removeSpans = spans => {
+    if (this.highlights)
+      this.highlights.remove(spans);
+    else
+      spans.forEach(this._unwrapSpan);
+  }
+
+  /**
+   * Unwraps a single highlight span and merges the text nodes around it,
+   * updating the offset index along the way.
+   */
+  _unwrapSpan = span => {
+    const parent = span.parentNode;
+
+    if (!parent)
+      return;
+
+    const isText = node => node?.nodeType === Node.TEXT_NODE;
+
+    const first = isText(span.previousSibling) ? span.previousSibling : span;
+    const last = isText(span.nextSibling) ? span.nextSibling : span;
+
+    const before = first.previousSibling;
+    const after = last.nextSibling;
+
+    this._mutate(() => this.index.update({ parent, before, after }, () => {
+      this._unwrapHighlightings([ span ]);
+
+      // Merge adjacent text nodes in the affected region only
+      let node = before ? before.nextSibling : parent.firstChild;
+      while (node && node !== after) {
+        const next = node.nextSibling;
+        if (isText(node) && next !== after && isText(next)) {
+          node.appendData(next.data);
+          parent.removeChild(next);
+        } else {
+          node = next;
+        }
+      }
+    }));
+  }
+
   _unwrapHighlightings(highlightSpans) {
     for (const span of highlightSpans) {
       const parent = span.parentNode;
@@ -142,7 +1182,7 @@ export default class Highlighter {
           parent.insertBefore(childNodes[0], span);
         }
       } else {
-        parent.insertBefore(document.createTextNode(span.textContent), span);
+        parent.insertBefore(this.document.createTextNode(span.textContent), span);
       }
 
       parent.removeChild(span);
@@ -150,19 +1190,66 @@ export default class Highlighter {
   }
 
   highlightAnnotation = (id) => {
-    const matchingSpans = document.querySelectorAll(`.r6o-annotation[data-id="${id}"]`);
-    matchingSpans.forEach((span) => {
+    if (this.highlights) {
+      this.highlights.setClass(this.highlights.find(id), 'hover-annotation', true);
+      return;
+    }
+
+    this._findSpans(id).forEach((span) => {
       span?.classList.add('hover-annotation');
     });
   };
 
   unhighlightAnnotation = (id) => {
-    const matchingSpans = document.querySelectorAll(`.r6o-annotation[data-id="${id}"]`);
-    matchingSpans.forEach((span) => {
+    if (this.highlights) {
+      this.highlights.setClass(this.highlights.find(id), 'hover-annotation', false);
+      return;
+    }
+
+    this._findSpans(id).forEach((span) => {
       span?.classList.remove('hover-annotation');
     });
   };
 
+  /**
+   * Returns the annotation span under the given mouse event, if any. In
+   * 'highlights' render mode, this is a RangeSpan with the stack of all
+   * spans at the event position.
+   */
+  getAnnotationSpanAt = evt => {
+    if (this.highlights) {
+      const stack = this.highlights.getSpansAt(evt.clientX, evt.clientY);
+      if (stack.length > 0) {
+        const [ innermost ] = [ ...stack ].sort((a, b) =>
+          this._getCoveredLength(a.annotation) - this._getCoveredLength(b.annotation));
+
+        return new RangeSpan(innermost.range, innermost.annotation, stack);
+      }
+    } else {
+      return getEventTarget(evt).closest?.('.r6o-annotation:not([data-r6o-hidden])');
+    }
+  }
+
+  /** Hover handling for 'highlights' render mode, mirroring the SPAN mouseover logic **/
+  _onMouseMove = evt => {
+    const span = evt.type === 'mousemove' ? this.getAnnotationSpanAt(evt) : null;
+
+    // Like with nested SPANs, hover applies to the outer-most annotation
+    const id = span ? this.getAnnotationsAt(span).pop().id : null;
+
+    this.el.classList.toggle('r6o-hover', !!span);
+
+    if (id !== this.hoveredId) {
+      if (this.hoveredId && this.hoveredId !== this.highlightedAnnotationId)
+        this.unhighlightAnnotation(this.hoveredId);
+
+      if (id)
+        this.highlightAnnotation(id);
+
+      this.hoveredId = id;
+    }
+  }
+
 
   /**
    * Apply styles using this highlighter's formatter, which is a user-defined
@@ -174,28 +1261,20 @@ export default class Highlighter {
    * - 'className' added to the CSS class list
    * - 'data-*' added as data attributes
    * - 'style' a list of CSS styles (in the form of a string)
+   * - 'color' the underline color in 'lanes' overlap layout
+   *
+   * The formatter is called once per span, with the span's position in
+   * the annotation as second argument (see _getFormatContexts). Classes,
+   * styles and data attributes from an earlier run are cleared first.
    */
   applyStyles = (annotation, spans) => {
-    let extraClasses = '';
-    if (this.formatter && this.formatter(annotation)) {
-      const format = this.formatter(annotation);
-      if (typeof format === 'string' || format instanceof String) {
-        // string: append to class list
-        extraClasses = format;
-      } else {
-        // object: extract className and style
-        const { className, style } = format;
-        if (className) extraClasses = className;
-        if (style) spans.forEach(span => {
-          span.setAttribute('style', `${span.style.cssText} ${style}`.trim());
-        });
-      }
-      // Copy data attributes
-      for (const key in format) {
-        if (format.hasOwnProperty(key) && key.startsWith('data-')) {
-          spans.forEach(span => span.setAttribute(key, format[key]));
-        }
-      }
+    const contexts = this._getFormatContexts(annotation, spans);
+    const formatAt = idx => this.formatter && this.formatter(annotation, contexts[idx]);
+
+    if (this.highlights) {
+      this.highlights.clearFormat(spans);
+      spans.forEach((span, idx) => this.highlights.applyFormat([ span ], formatAt(idx)));
+      return;
     }
 
     // Helper function to collect background colors from the current element and all its parents
@@ -205,7 +1284,7 @@ export default class Highlighter {
 
       // Traverse upwards and collect background colors from all parents
       while (currentElement && currentElement?.classList.contains('r6o-annotation')) {
-        const bgColor = window.getComputedStyle(currentElement).backgroundColor;
+        const bgColor = this.document.defaultView.getComputedStyle(currentElement).backgroundColor;
         colors.add(bgColor);  // Add the color to the Set (automatically handles duplicates)
         currentElement = currentElement.parentElement;
       }
@@ -213,32 +1292,42 @@ export default class Highlighter {
       return Array.from(colors); // Convert the Set back to an array
     };
 
-    // Function to handle mouse over on the highest parent annotation
-    const handleMouseOver = (span) => {
-      const id = span.getAttribute('data-id');
-      const isHighestParent = !span.closest('.r6o-annotation:not([data-id="' + id + '"])');
-      if (this.highlightedAnnotationId) {
-        const highlightedChild = span.querySelector('.r6o-annotation[data-id="' + this.highlightedAnnotationId + '"]');
-        if (highlightedChild) {
-          return;
+    spans.forEach((span, idx) => {
+      this._clearFormat(span);
+
+      // Everything this run adds, so that the next run can clear it
+      const applied = { classNames: [], styleProps: [], dataKeys: [] };
+
+      const format = formatAt(idx);
+      if (format) {
+        if (typeof format === 'string' || format instanceof String) {
+          // string: append to class list
+          applied.classNames = format.split(/\s+/);
+        } else {
+          // object: extract className and style
+          const { className, style, color } = format;
+          if (className) applied.classNames = className.split(/\s+/);
+          if (style) {
+            span.setAttribute('style', `${span.style.cssText} ${style}`.trim());
+            applied.styleProps = getStyleProperties(this.document, style);
+          }
+          if (color && this.laneLayout) {
+            span.style.setProperty('--r6o-lane-color', color);
+            applied.styleProps.push('--r6o-lane-color');
+          }
+          // Copy data attributes
+          for (const key in format) {
+            if (format.hasOwnProperty(key) && key.startsWith('data-') && key !== 'data-id') {
+              span.setAttribute(key, format[key]);
+              applied.dataKeys.push(key);
+            }
+          }
         }
       }
-      if (isHighestParent) {
-        this.highlightAnnotation(id);
-      }
-    };
-
-    const handleMouseOut = (span) => {
-      const id = span.getAttribute('data-id');
-      const isHighestParent = !span.closest('.r6o-annotation:not([data-id="' + id + '"])');
-      if (isHighestParent && id !== this.highlightedAnnotationId) {
-        this.unhighlightAnnotation(id);
-      }
-    };
 
-    spans.forEach(span => {
       // Get the background colors of the current span and all its parents
-      const parentColors = getParentColors(span);
+      // (Lanes don't blend - each annotation has its own underline)
+      const parentColors = this.laneLayout ? [] : getParentColors(span);
 
       if (parentColors.length > 0) {
         // Map each color into a separate linear-gradient and join them with a comma
@@ -248,113 +1337,362 @@ export default class Highlighter {
 
         // Apply multiple linear gradients, one for each parent color
         span.style.backgroundImage = gradientColors;
+        applied.styleProps.push('background-image');
       }
 
-      // Add event listeners for hover effect
-      span.addEventListener('mouseover', () => handleMouseOver(span));
-      span.addEventListener('mouseout', () => handleMouseOut(span));
+      // Add the class names for this annotation (but never take
+      // ownership of the ones the Highlighter manages itself)
+      span.classList.add('r6o-annotation');
+      applied.classNames = applied.classNames.filter(c => c && !span.classList.contains(c));
+      applied.classNames.forEach(c => span.classList.add(c));
 
-      // Add the class name for this annotation
-      span.className = `r6o-annotation ${extraClasses}`.trim();
+      span.appliedFormat = applied;
     });
   };
 
-  bindAnnotation = (annotation, elements) => {
-    elements.forEach(el => {
-      el.annotation = annotation;
-      el.dataset.id = annotation.id;
-    });
+  /** Removes the classes, styles and data attributes applyStyles added to the span **/
+  _clearFormat = span => {
+    const { appliedFormat } = span;
+    if (!appliedFormat)
+      return;
+
+    appliedFormat.classNames.forEach(c => span.classList.remove(c));
+    appliedFormat.styleProps.forEach(p => span.style.removeProperty(p));
+    appliedFormat.dataKeys.forEach(k => span.removeAttribute(k));
+
+    span.appliedFormat = null;
   }
 
-  walkTextNodes = (node, stopOffset) => {
-    const nodes = [];
+  /**
+   * The position of each of the given spans within the annotation, for the
+   * formatter:
+   *
+   * - 'isFirst', 'isLast' whether the span starts/ends the annotation
+   * - 'fragment', 'fragmentCount' the index of the span's fragment, and the
+   *   total number of fragments (for discontinuous annotations)
+   * - 'isFragmentStart', 'isFragmentEnd' whether the span starts/ends its fragment
+   */
+  _getFormatContexts = (annotation, spans) => {
+    const fragmentCount = getFragments(annotation).length;
+
+    // Wrapping can leave empty SPANs at the range boundaries - they don't count
+    const ordered = this._inDocumentOrder(spans);
+    const visible = ordered.filter(span => span.textContent !== '');
+    const counted = visible.length > 0 ? visible : ordered;
+
+    const fragmentBounds = new Map();
+    counted.forEach(span => {
+      const fragment = span.fragmentIndex || 0;
+      const bounds = fragmentBounds.get(fragment);
+      if (bounds)
+        bounds.last = span;
+      else
+        fragmentBounds.set(fragment, { first: span, last: span });
+    });
 
-    const ni = document.createNodeIterator(node, NodeFilter.SHOW_TEXT)
-    var runningOffset = 0;
-    let n = ni.nextNode();
-    while (n != null) {
-      runningOffset += n.textContent?.length;
-      nodes.push(n);
-      if (runningOffset > stopOffset) {
-        break;
-      }
-      n = ni.nextNode();
-    }
-    return nodes
+    return spans.map(span => {
+      const fragment = span.fragmentIndex || 0;
+      const bounds = fragmentBounds.get(fragment);
+
+      return {
+        isFirst: span === counted[0],
+        isLast: span === counted[counted.length - 1],
+        fragment,
+        fragmentCount,
+        isFragmentStart: bounds?.first === span,
+        isFragmentEnd: bounds?.last === span
+      };
+    });
   }
 
-  charOffsetsToDOMPosition = charOffsets => {
-    const maxOffset = Math.max.apply(null, charOffsets);
+  _inDocumentOrder = spans => [ ...spans ].sort((a, b) => {
+    // Native comparisons don't work across shadow boundaries
+    if (this.index.isFlat)
+      return a instanceof RangeSpan ?
+        compareFlat(a.range.startContainer, b.range.startContainer) || (a.range.startOffset - b.range.startOffset) :
+        compareFlat(a, b);
 
-    const textNodeProps = (() => {
-      let start = 0;
-      return this.walkTextNodes(this.el, maxOffset).map(function(node) {
-        var nodeLength = node.textContent?.length,
-            nodeProps = { node: node, start: start, end: start + nodeLength };
+    if (a instanceof RangeSpan)
+      return a.range.compareBoundaryPoints(Range.START_TO_START, b.range);
 
-        start += nodeLength;
-        return nodeProps;
-      });
-    })();
+    return (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1;
+  });
+
+  /**
+   * Re-applies the formatter to the rendered spans of the annotations with
+   * the given IDs, or of all annotations.
+   */
+  refreshStyles = annotationIds => {
+    const spans = annotationIds ?
+      annotationIds.reduce((all, id) => all.concat(this._findSpans(id)), []) : this._getAllSpans();
+
+    // Document order (for SPANs) means parents are styled before their children
+    const byAnnotation = new Map();
+    spans.forEach(span => {
+      const { id } = span.annotation;
+      if (byAnnotation.has(id))
+        byAnnotation.get(id).push(span);
+      else
+        byAnnotation.set(id, [ span ]);
+    });
+
+    byAnnotation.forEach(spans => this.applyStyles(spans[0].annotation, spans));
+
+    this._syncShadowRoots();
+  }
 
-    return this.calculateDomPositionWithin(textNodeProps, charOffsets);
+  setFormatter = formatter => {
+    this.formatter = formatter;
+    this.refreshStyles();
   }
 
   /**
-   * Given a rootNode, this helper gets all text between a given
-   * start- and end-node.
+   * Hides all annotations that don't match the given predicate, or shows
+   * all annotations again if the predicate is null. Hidden annotations
+   * remain in the Highlighter (and in getAllAnnotations), but are not
+   * painted, and don't react to clicks or hover.
    */
-  textNodesBetween = (startNode, endNode, rootNode) => {
-    const ni = document.createNodeIterator(rootNode, NodeFilter.SHOW_TEXT)
+  setFilter = predicate => {
+    this.filter = predicate;
+    this._applyVisibility(this._getAllSpans());
+    this._layoutLanes();
+  }
+
+  /** The annotations in the multi-selection, in the order they were selected **/
+  getMultiSelected = () =>
+    [ ...this.multiSelected ].map(this._getAnnotation).filter(Boolean);
+
+  /** Replaces the multi-selection with the annotations with the given IDs **/
+  setMultiSelected = ids => {
+    const previous = this.multiSelected;
+    this.multiSelected = new Set(ids);
+
+    previous.forEach(id => {
+      if (!this.multiSelected.has(id))
+        this._markSelected(this._findSpans(id), false);
+    });
+
+    this.multiSelected.forEach(id => {
+      if (!previous.has(id))
+        this._markSelected(this._findSpans(id), true);
+    });
+  }
+
+  _markSelected = (spans, selected) => {
+    if (this.highlights)
+      this.highlights.setClass(spans, 'r6o-multi-selected', selected);
+    else
+      spans.forEach(span => span.classList.toggle('r6o-multi-selected', selected));
+  }
 
-    let n = ni.nextNode()
-    let take = false
-    const nodesBetween = []
+  /** True if the annotation (or the annotation with the given ID) passes the filter **/
+  isVisible = annotationOrId => {
+    if (!this.filter)
+      return true;
 
-    while (n != null) {
-      if (n === endNode) take = false;
+    const annotation = annotationOrId?.id ? annotationOrId : this._getAnnotation(annotationOrId);
+    return annotation ? !!this.filter(annotation) : false;
+  }
+
+  getVisibleAnnotations = () =>
+    this.getAllAnnotations().filter(this.isVisible);
 
-      if (take) nodesBetween.push(n);
+  _getAnnotation = id =>
+    this.viewport ? this.annotations.get(id) : this._findSpans(id)[0]?.annotation;
 
-      if (n === startNode) take = true;
+  /** Shows or hides the given spans, according to the current filter **/
+  _applyVisibility = spans => {
+    // Run the predicate once per annotation, not once per span
+    const visible = new Map();
 
-      n = ni.nextNode()
+    spans.forEach(span => {
+      const { annotation } = span;
+      if (!visible.has(annotation.id))
+        visible.set(annotation.id, this.isVisible(annotation));
+
+      const isHidden = !visible.get(annotation.id);
+
+      if (this.highlights)
+        this.highlights.setHidden([ span ], isHidden);
+      else if (isHidden)
+        span.setAttribute('data-r6o-hidden', '');
+      else
+        span.removeAttribute('data-r6o-hidden');
+
+      // Hidden annotations can't be reached with the keyboard either
+      if (span.isTabStop)
+        span.tabIndex = isHidden ? -1 : 0;
+    });
+  }
+
+  /** Hover effect for SPANs, applied to the outer-most annotation **/
+  _bindHover = spans => spans.forEach(span => {
+    span.addEventListener('mouseover', this._onSpanMouseOver);
+    span.addEventListener('mouseout', this._onSpanMouseOut);
+  });
+
+  /** True if no other (visible) annotation encloses the span **/
+  _isHighestParent = (span, id) =>
+    !span.closest('.r6o-annotation:not([data-id="' + id + '"]):not([data-r6o-hidden])');
+
+  _onSpanMouseOver = evt => {
+    const span = evt.currentTarget;
+    if (span.hasAttribute('data-r6o-hidden'))
+      return;
+
+    const id = span.getAttribute('data-id');
+    const isHighestParent = this._isHighestParent(span, id);
+    if (this.highlightedAnnotationId) {
+      const highlightedChild = span.querySelector('.r6o-annotation[data-id="' + this.highlightedAnnotationId + '"]');
+      if (highlightedChild) {
+        return;
+      }
+    }
+    if (isHighestParent) {
+      this.highlightAnnotation(id);
     }
+  }
+
+  _onSpanMouseOut = evt => {
+    const span = evt.currentTarget;
+    const id = span.getAttribute('data-id');
+    const isHighestParent = this._isHighestParent(span, id);
+    if (isHighestParent && id !== this.highlightedAnnotationId) {
+      this.unhighlightAnnotation(id);
+    }
+  }
 
-    return nodesBetween;
+  bindAnnotation = (annotation, elements) => {
+    elements.forEach(el => {
+      el.annotation = annotation;
+      el.dataset.id = annotation.id;
+    });
   }
 
-  calculateDomPositionWithin = (textNodeProperties, charOffsets) => {
-    var positions = [];
+  /**
+   * 'keyboard' mode: makes the first span of the annotation a tab stop
+   * (so that Tab moves from annotation to annotation, in document order),
+   * and points all spans to the description of the annotation's bodies.
+   */
+  _bindKeyboard = (annotation, spans) => {
+    // Wrapping can leave empty SPANs at the range boundaries - skip them
+    const ordered = this._inDocumentOrder(spans);
+    const tabStop = ordered.find(span => span.textContent !== '') || ordered[0];
+
+    spans.forEach(span => {
+      span.setAttribute('role', 'mark');
 
-    textNodeProperties.forEach(function(props, i) {
-      charOffsets.forEach(function(charOffset, j)  {
-        if (charOffset >= props.start && charOffset <= props.end) {
-          // Don't attach nodes for the same charOffset twice
-          var previousOffset = (positions.length > 0) ?
-                positions[positions.length - 1].charOffset : false;
+      const descriptionId = this._mutate(() =>
+        this.descriptions.describe(annotation, span.getRootNode()));
 
-          if (previousOffset !== charOffset)
-            positions.push({
-              charOffset: charOffset,
-              node: props.node,
-              offset: charOffset - props.start
-            });
-        }
-      });
+      if (descriptionId)
+        span.setAttribute('aria-describedby', descriptionId);
+      else
+        span.removeAttribute('aria-describedby');
 
-      // Break (i.e. return false) if all positions are computed
-      return positions.length < charOffsets.length;
+      span.isTabStop = span === tabStop;
+      if (span.isTabStop)
+        span.tabIndex = 0;
+      else
+        span.removeAttribute('tabindex');
     });
+  }
+
+  /** The plain text of the content element, as counted by character offsets **/
+  getText = () =>
+    this.index.getText();
 
-    return positions;
+  charOffsetsToDOMPosition = ([ start, end ]) =>
+    [ this.index.positionAt(start), this.index.positionAt(end, true) ];
+
+  /**
+   * Marks the given range as the current user selection: wraps it in
+   * 'r6o-selection' SPANs or, in 'highlights' mode, paints it as a CSS
+   * highlight.
+   */
+  wrapSelection = range => {
+    // Resolved via the index, since the range may cross shadow boundaries
+    const start = this.index.offsetAt(range.startContainer, range.startOffset);
+    const end = this.index.offsetAt(range.endContainer, range.endOffset);
+
+    return this._rangesAt(start, end).reduce((all, r) => {
+      if (this.highlights)
+        return all.concat(this.highlights.addSelection(r));
+
+      const spans = this.wrapRange(r);
+      spans.forEach(span => span.className = 'r6o-selection');
+      return all.concat(spans);
+    }, []);
   }
 
-  wrapRange = (range, commonRoot) => {
-    const root = commonRoot ? commonRoot : this.el;
+  /**
+   * DOM ranges covering the given char offsets (relative to the given
+   * index). Normally, that's just one range. But a Range can't cross
+   * shadow boundaries - if the content has shadow roots, there's one
+   * range per text node instead.
+   */
+  _rangesAt = (start, end, index = this.index) => {
+    const domStart = index.positionAt(start);
+    const domEnd = index.positionAt(end, true);
+
+    const toRange = (startNode, startOffset, endNode, endOffset) => {
+      const range = this.document.createRange();
+      range.setStart(startNode, startOffset);
+      range.setEnd(endNode, endOffset);
+      return range;
+    }
 
+    if (!this.index.isFlat || domStart.node === domEnd.node)
+      return [ toRange(domStart.node, domStart.offset, domEnd.node, domEnd.offset) ];
+
+    const between = this.index.nodesBetween(domStart.node, domEnd.node);
+
+    return [
+      toRange(domStart.node, domStart.offset, domStart.node, domStart.node.length),
+      ...between.map(node => toRange(node, 0, node, node.length)),
+      toRange(domEnd.node, 0, domEnd.node, domEnd.offset)
+    ].filter(range => !range.collapsed);
+  }
+
+  unwrapSelection = () => {
+    if (this.highlights)
+      this.highlights.clearSelection();
+    else
+      this._removeSpans(this._queryAll('.r6o-selection'));
+  }
+
+  /**
+   * The region of the DOM (children of the common ancestor) that wrapping
+   * the given range will touch. See OffsetIndex.update.
+   */
+  _getRegion = range => {
+    const common = range.commonAncestorContainer;
+
+    if (common.nodeType === Node.TEXT_NODE)
+      return { parent: common.parentNode, before: common.previousSibling, after: common.nextSibling };
+
+    // The child of the common ancestor that contains the given node
+    const childOf = node => {
+      let n = node;
+      while (n.parentNode !== common)
+        n = n.parentNode;
+      return n;
+    }
+
+    const before = range.startContainer === common ?
+      common.childNodes[range.startOffset - 1] || null :
+      childOf(range.startContainer).previousSibling;
+
+    const after = range.endContainer === common ?
+      common.childNodes[range.endOffset] || null :
+      childOf(range.endContainer).nextSibling;
+
+    return { parent: common, before, after };
+  }
+
+  wrapRange = range => {
     const surround = (range) => {
-      const wrapper = document.createElement('SPAN');
+      const wrapper = this.document.createElement('SPAN');
       try {
         range.surroundContents(wrapper);
         return wrapper;
@@ -367,21 +1705,26 @@ export default class Highlighter {
       return []
     }
 
+    // Keep the offset index in sync with the split text nodes
+    return this._mutate(() => this.index.update(this._getRegion(range), () => this._wrapRange(range, surround)));
+  }
+
+  _wrapRange = (range, surround) => {
     if (range.startContainer === range.endContainer) {
       return [ surround(range) ];
     } else {
       // The tricky part - we need to break the range apart and create
       // sub-ranges for each segment
       var nodesBetween =
-        this.textNodesBetween(range.startContainer, range.endContainer, root);
+        this.index.nodesBetween(range.startContainer, range.endContainer);
 
       // Start with start and end nodes
-      var startRange = document.createRange();
+      var startRange = this.document.createRange();
       startRange.selectNodeContents(range.startContainer);
       startRange.setStart(range.startContainer, range.startOffset);
       var startWrapper = surround(startRange);
 
-      var endRange = document.createRange();
+      var endRange = this.document.createRange();
       endRange.selectNode(range.endContainer);
       endRange.setEnd(range.endContainer, range.endOffset);
       var endWrapper = surround(endRange);
@@ -389,7 +1732,7 @@ export default class Highlighter {
       // And wrap nodes in between, if any
       const isValidRange = startWrapper && endWrapper;
       var centerWrappers = isValidRange ? nodesBetween.reverse().map(function(node) {
-        const wrapper = document.createElement('SPAN');
+        const wrapper = node.ownerDocument.createElement('SPAN');
         node.parentNode.insertBefore(wrapper, node);
         wrapper.appendChild(node);
         return wrapper;
@@ -411,13 +1754,102 @@ export default class Highlighter {
             getAnnotationsRecursive(parent, annotations) : annotations;
         },
 
-        sortByRangeLength = function(annotations) {
-          return annotations.sort(function(a, b) {
-            return (a.end - a.start) - (b.end - b.start);
-          });
-        };
+        sortByRangeLength = this._sortByRangeLength;
+
+    if (element instanceof RangeSpan)
+      return sortByRangeLength((element.stack || [ element ]).map(s => s.annotation));
+
+    // Hidden annotations (see setFilter) can't be picked
+    return sortByRangeLength(getAnnotationsRecursive(element).filter(this.isVisible));
+  }
+
+  /**
+   * The visible annotations at the given client coordinates, shortest
+   * first. Only considers annotations that are currently rendered.
+   */
+  getAnnotationsAtPoint = (x, y) => {
+    const target = elementFromPoint(this.document, x, y);
+    const span = target && this.getAnnotationSpanAt({ clientX: x, clientY: y, target });
+    return span ? this.getAnnotationsAt(span) : [];
+  }
+
+  /**
+   * The visible annotations with a highlight that intersects the given
+   * rectangle (in client coordinates).
+   */
+  getAnnotationsInRect = ({ left, top, right, bottom }) => {
+    const intersects = rect =>
+      rect.right >= left && rect.left <= right && rect.bottom >= top && rect.top <= bottom;
+
+    const hits = this._getAllSpans()
+      .filter(span => Array.from(span.getClientRects()).some(intersects))
+      .map(span => span.annotation)
+      .filter(this.isVisible);
 
-    return sortByRangeLength(getAnnotationsRecursive(element));
+    return uniqueItems(hits);
   }
 
+  /**
+   * The visible annotations that cover the given char offset, shortest
+   * first. Like TextPositionSelector offsets, the offset is in the
+   * configured 'offsetUnit' - and with sections, relative to the section
+   * with the given source (or the first section, if there's no source).
+   */
+  getAnnotationsAtOffset = (offset, source) => {
+    const index = this._indexForSource(source);
+
+    // Fragment offsets count UTF-16 code units
+    const utf16 = index?.getUnits().toUtf16(offset);
+
+    const covers = annotation =>
+      this.getFragmentOffsets(annotation).some(({ start, end }) => start <= utf16 && utf16 < end);
+
+    return this._sortByRangeLength(this.getVisibleAnnotations()
+      .filter(a => !this.sections || this.getSection(a) === index)
+      .filter(covers));
+  }
+
+  /**
+   * Resolves a text range given by char offsets ({ start, end }, like a
+   * TextPositionSelector), or by a quote and its occurrence (0-based) in
+   * the text ({ quote, occurrence }). Whitespace in the quote is normalized
+   * like that of the content, so that quotes copied from the source match.
+   * With sections, the range is in the section with the given source (or
+   * the first section).
+   *
+   * @returns the char offsets in the whole content, or null
+   */
+  resolveTextRange = ({ start, end, quote, occurrence = 0, source }) => {
+    const index = this._indexForSource(source);
+    if (!index)
+      return null;
+
+    let offsets;
+
+    if (quote) {
+      const text = index.getText();
+      const exact = this.index.normalize(quote);
+
+      let pos = -1;
+      for (let i = 0; i <= occurrence; i++) {
+        pos = text.indexOf(exact, pos + 1);
+        if (pos < 0)
+          return null;
+      }
+
+      offsets = { start: pos, end: pos + exact.length };
+    } else {
+      offsets = index.getUnits().toUtf16Range({ start, end });
+    }
+
+    if (!(offsets.start >= 0 && offsets.start < offsets.end && offsets.end <= index.getText().length))
+      return null;
+
+    const base = this._baseOf(index);
+    return { start: base + offsets.start, end: base + offsets.end };
+  }
+
+  _sortByRangeLength = annotations =>
+    annotations.sort((a, b) => this._getCoveredLength(a) - this._getCoveredLength(b));
+
 }
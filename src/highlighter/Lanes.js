@@ -0,0 +1,42 @@
+/**
+ * Lays out overlapping annotations in underline lanes. Each annotation
+ * gets the lowest lane that is free at its start offset (first-fit in
+ * start order, which needs the minimum number of lanes). Annotations
+ * beyond 'maxLanes' are hidden. Instead, the annotation in the last
+ * visible lane that covers their start carries a count of them, for
+ * display as a badge. Discontinuous annotations take up a lane from
+ * their first to their last fragment.
+ *
+ * The 'extentOf' function returns the { start, end } offsets to lay
+ * out by.
+ *
+ * @returns { lanes, overflow } - Maps of annotation ID -> lane, and
+ * carrier annotation ID -> number of hidden annotations
+ */
+export const layoutLanes = (annotations, maxLanes, extentOf) => {
+  const sorted = annotations
+    .map(a => ({ id: a.id, ...extentOf(a) }))
+    .sort((a, b) => (a.start - b.start) || (b.end - a.end));
+
+  const lanes = new Map();
+  const overflow = new Map();
+
+  // The annotation that was last assigned to each lane
+  const laneOwners = [];
+
+  sorted.forEach(annotation => {
+    let lane = laneOwners.findIndex(owner => owner.end <= annotation.start);
+    if (lane < 0)
+      lane = laneOwners.length;
+
+    if (lane >= maxLanes) {
+      const carrier = laneOwners[maxLanes - 1];
+      overflow.set(carrier.id, (overflow.get(carrier.id) || 0) + 1);
+    }
+
+    laneOwners[lane] = annotation;
+    lanes.set(annotation.id, lane);
+  });
+
+  return { lanes, overflow };
+}
@@ -0,0 +1,397 @@
+import {
+  normalizeRun,
+  sliceMask,
+  concatMasks,
+  normalizedLength,
+  toNormalizedOffset,
+  toRawOffset,
+  normalizeText
+} from './TextNormalizer';
+import {
+  flatChildren,
+  flatParent,
+  compareFlat,
+  isFlatDescendant
+} from './FlatTree';
+import OffsetUnits from './OffsetUnits';
+
+// Subtrees that never count towards character offsets (in addition
+// to the ones matching the 'ignoreSelector' config option)
+const EXCLUDED = '.r6o-relations-layer, [data-r6o-styles], [data-r6o-descriptions]';
+
+// Above this size, splicing via spread args gets risky
+const MAX_SPLICE_ARGS = 1000;
+
+// Elements that don't break a text run (see TextNormalizer)
+const TRANSPARENT = '.r6o-annotation, .r6o-selection';
+
+/** True if the element is laid out as a block (list items, table cells etc. included) **/
+const isBlock = element => {
+  const { display } = element.ownerDocument.defaultView.getComputedStyle(element);
+  return !!display && !display.startsWith('inline') && display !== 'contents';
+}
+
+/** Replaces 'count' items at 'from' with the given items, and returns the array **/
+const splice = (arr, from, count, items) => {
+  if (items.length > MAX_SPLICE_ARGS)
+    return arr.slice(0, from).concat(items, arr.slice(from + count));
+
+  arr.splice(from, count, ...items);
+  return arr;
+}
+
+/**
+ * A sorted index of the text nodes in the content element, with their
+ * start character offsets. Resolves char offsets to DOM positions (and
+ * vice versa) via binary search, instead of walking the DOM each time.
+ *
+ * Char offsets refer to the normalized text (see TextNormalizer for the
+ * whitespace policy). Each text node has a normalization mask, which
+ * maps between its raw and normalized offsets. Char offsets always count
+ * UTF-16 code units - see .getUnits for the configured selector unit.
+ *
+ * Wrapping and unwrapping highlight SPANs doesn't change the text, only
+ * how it's split into text nodes. The index is therefore updated
+ * incrementally: mutations go through .update, which re-indexes only
+ * the region of the DOM that the mutation touched.
+ *
+ * The index follows the flat tree (see FlatTree), i.e. it includes text
+ * inside open shadow roots and slots. If there are any shadow roots
+ * inside the content, DOM order comparisons fall back to the (slower)
+ * flat tree comparison, since native comparisons don't cross shadow
+ * boundaries.
+ */
+export default class OffsetIndex {
+
+  constructor(root, opts = {}) {
+    const { ignoreSelector, preserveWhitespace, offsetUnit } = opts;
+
+    this.root = root;
+    this.document = root.ownerDocument;
+    this.excluded = ignoreSelector ? `${EXCLUDED}, ${ignoreSelector}` : EXCLUDED;
+    this.preserveWhitespace = !!preserveWhitespace;
+    this.offsetUnit = offsetUnit;
+    this.build();
+  }
+
+  isExcluded = element =>
+    !!element.matches?.(this.excluded);
+
+  /** (Re-)builds the index from scratch **/
+  build = () => {
+    const nodes = [];
+    const masks = [];
+
+    this.shadowRoots = [];
+
+    // Text nodes of the current run
+    let run = [];
+
+    const endRun = () => {
+      if (run.length > 0) {
+        const mask = normalizeRun(run.map(n => n.data).join(''), this.preserveWhitespace);
+
+        let offset = 0;
+        run.forEach(node => {
+          masks.push(sliceMask(mask, offset, node.length));
+          offset += node.length;
+        });
+
+        run = [];
+      }
+    }
+
+    this._walk(this.root, node => {
+      nodes.push(node);
+      run.push(node);
+    }, endRun);
+
+    endRun();
+
+    this.nodes = nodes;
+    this.masks = masks;
+    this.lengths = nodes.map((node, idx) => normalizedLength(masks[idx], node.length));
+    this.starts = this._computeStarts(this.lengths, 0);
+    this.text = null;
+    this.units = null;
+  }
+
+  /** True if the content has shadow roots, i.e. DOM order means flat tree order **/
+  get isFlat() {
+    return this.shadowRoots.length > 0;
+  }
+
+  get length() {
+    const last = this.nodes.length - 1;
+    return last > -1 ? this.starts[last] + this.lengths[last] : 0;
+  }
+
+  /** The indexed text, i.e. the (normalized) text that char offsets refer to **/
+  getText = () => {
+    // Wrapping/unwrapping doesn't change the text - cache until rebuild
+    if (this.text === null)
+      this.text = this.nodes.map((n, idx) => normalizeText(n.data, this.masks[idx])).join('');
+
+    return this.text;
+  }
+
+  /** The given text, with whitespace normalized like a text run of the content **/
+  normalize = text =>
+    normalizeText(text, normalizeRun(text, this.preserveWhitespace));
+
+  /** Converts char offsets to and from the configured offset unit (see OffsetUnits) **/
+  getUnits = () => {
+    if (this.units === null)
+      this.units = new OffsetUnits(this.getText(), this.offsetUnit);
+
+    return this.units;
+  }
+
+  /**
+   * Walks the descendants of the given node in flat tree order, calling
+   * 'onText' for each text node, and 'onBoundary' where a text run ends
+   * (i.e. at the start and end of each element, except highlight SPANs
+   * and slots).
+   */
+  _walk = (node, onText, onBoundary = () => null) => {
+    if (node.shadowRoot && !this.shadowRoots.includes(node.shadowRoot))
+      this.shadowRoots.push(node.shadowRoot);
+
+    flatChildren(node).forEach(child => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        onText(child);
+      } else if (child.nodeType === Node.ELEMENT_NODE && !this.isExcluded(child)) {
+        const isTransparent = child.matches(TRANSPARENT) || child.localName === 'slot';
+
+        if (!isTransparent)
+          onBoundary();
+
+        this._walk(child, onText, onBoundary);
+
+        if (!isTransparent)
+          onBoundary();
+      } else {
+        // Excluded elements, comments, etc.
+        onBoundary();
+      }
+    });
+  }
+
+  _textNodesIn = element => {
+    const nodes = [];
+    this._walk(element, node => nodes.push(node));
+    return nodes;
+  }
+
+  _computeStarts = (lengths, offset) => {
+    let runningOffset = offset;
+    return lengths.map(length => {
+      const start = runningOffset;
+      runningOffset += length;
+      return start;
+    });
+  }
+
+  /** Position of the given text node in the index, or -1 **/
+  indexOf = textNode => {
+    let lo = 0;
+    let hi = this.nodes.length - 1;
+
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      const node = this.nodes[mid];
+
+      if (node === textNode)
+        return mid;
+
+      const isFollowing = this.isFlat ?
+        compareFlat(node, textNode) < 0 :
+        node.compareDocumentPosition(textNode) & Node.DOCUMENT_POSITION_FOLLOWING;
+
+      if (isFollowing)
+        lo = mid + 1;
+      else
+        hi = mid - 1;
+    }
+
+    return -1;
+  }
+
+  /** First index position for which the predicate is true (predicate must be monotone) **/
+  _lowerBound = predicate => {
+    let lo = 0;
+    let hi = this.nodes.length;
+
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (predicate(mid))
+        hi = mid;
+      else
+        lo = mid + 1;
+    }
+
+    return lo;
+  }
+
+  /**
+   * Resolves a char offset to a DOM position { node, offset }. Offsets on
+   * a text node boundary resolve to the start of the following node by
+   * default, or to the end of the preceding node if 'isEnd' is true.
+   */
+  positionAt = (charOffset, isEnd) => {
+    if (this.nodes.length === 0)
+      return null;
+
+    const idx = isEnd ?
+      this._lowerBound(i => this.starts[i] >= charOffset) - 1 :
+      this._lowerBound(i => this.starts[i] > charOffset) - 1;
+
+    // Skip empty text nodes (leftovers from wrapping, or collapsed whitespace)
+    let i = Math.max(0, idx);
+    while (i > 0 && this.lengths[i] === 0)
+      i--;
+
+    return { node: this.nodes[i], offset: toRawOffset(this.masks[i], charOffset - this.starts[i], isEnd) };
+  }
+
+  /** Resolves a DOM position (e.g. a range boundary) to a char offset **/
+  offsetAt = (node, offset) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const idx = this.indexOf(node);
+      if (idx > -1)
+        return this.starts[idx] + toNormalizedOffset(this.masks[idx], offset);
+    }
+
+    // A point between nodes (or in an excluded text node)
+    const idx = this._lowerBound(this._isAfterPoint(node, offset));
+    return idx < this.nodes.length ? this.starts[idx] : this.length;
+  }
+
+  /**
+   * Returns a predicate that tests if the index node at the given position
+   * lies after the DOM point (container, offset). Text containers count as
+   * the point right before the text node.
+   */
+  _isAfterPoint = (container, offset) => {
+    if (!this.isFlat) {
+      const point = this.document.createRange();
+      if (container.nodeType === Node.TEXT_NODE)
+        point.setStartBefore(container);
+      else
+        point.setStart(container, offset);
+
+      return i => point.comparePoint(this.nodes[i], 0) >= 0;
+    }
+
+    // Range points can't be compared across shadow boundaries
+    if (container.nodeType === Node.TEXT_NODE)
+      return i => compareFlat(this.nodes[i], container) >= 0;
+
+    // The start of the container. (For shadow hosts, that's not the same
+    // as before the first light DOM child.)
+    if (offset === 0)
+      return i => compareFlat(this.nodes[i], container) > 0;
+
+    const ref = container.childNodes[offset];
+    if (ref)
+      return i => compareFlat(this.nodes[i], ref) >= 0;
+
+    // The point is at the end of the container
+    return i =>
+      compareFlat(this.nodes[i], container) > 0 && !isFlatDescendant(this.nodes[i], container);
+  }
+
+  /**
+   * The char offsets ({ start, end }) of the block element that contains
+   * the char at the given offset - or of the whole text, if there is none
+   * inside the root. Block boundaries don't add any characters to the text
+   * (see TextNormalizer), so words and sentences must not extend past them.
+   */
+  blockAt = charOffset => {
+    let element = flatParent(this.positionAt(charOffset).node);
+    while (element && element !== this.root && !isBlock(element))
+      element = flatParent(element);
+
+    if (!element || element === this.root)
+      return { start: 0, end: this.length };
+
+    return {
+      start: this.offsetAt(element, 0),
+      end: this.offsetAt(element, element.childNodes.length)
+    };
+  }
+
+  /** Text nodes strictly between the two given (indexed) text nodes **/
+  nodesBetween = (startNode, endNode) => {
+    const start = this.indexOf(startNode);
+    const end = this.indexOf(endNode);
+    return (start > -1 && end > -1) ? this.nodes.slice(start + 1, end) : [];
+  }
+
+  /** The start and end points of the region, as (container, offset) pairs **/
+  _regionPoints = ({ parent, before, after }) => {
+    const childIndex = node =>
+      Array.prototype.indexOf.call(parent.childNodes, node);
+
+    return [
+      [ parent, before ? childIndex(before) + 1 : 0 ],
+      [ parent, after ? childIndex(after) : parent.childNodes.length ]
+    ];
+  }
+
+  /**
+   * Runs the given DOM mutation, and re-indexes the affected region.
+   * The region is the list of children of 'parent' between the
+   * 'before' and 'after' siblings (exclusive, null for start/end).
+   * The mutation must leave 'before' and 'after' in place, and must
+   * not change the text inside the region.
+   *
+   * @returns the return value of the mutation
+   */
+  update = (region, mutate) => {
+    const [ start, end ] = this._regionPoints(region);
+
+    // Current index entries inside the region
+    const from = this._lowerBound(this._isAfterPoint(...start));
+    const to = this._lowerBound(this._isAfterPoint(...end));
+
+    const startOffset = from < this.nodes.length ? this.starts[from] : this.length;
+
+    // The text doesn't change - so neither does its normalization, no
+    // matter how the mutation splits it into nodes
+    const regionMask = concatMasks(this.nodes.slice(from, to), this.masks.slice(from, to));
+
+    const result = mutate();
+
+    const { parent, before, after } = region;
+
+    const nodes = [];
+    let child = before ? before.nextSibling : parent.firstChild;
+    while (child && child !== after) {
+      if (child.nodeType === Node.TEXT_NODE)
+        nodes.push(child);
+      else if (child.nodeType === Node.ELEMENT_NODE && !this.isExcluded(child))
+        this._textNodesIn(child).forEach(n => nodes.push(n));
+
+      child = child.nextSibling;
+    }
+
+    let rawOffset = 0;
+    const masks = nodes.map(node => {
+      const mask = sliceMask(regionMask, rawOffset, node.length);
+      rawOffset += node.length;
+      return mask;
+    });
+
+    const lengths = nodes.map((node, idx) => normalizedLength(masks[idx], node.length));
+    const starts = this._computeStarts(lengths, startOffset);
+
+    this.nodes = splice(this.nodes, from, to - from, nodes);
+    this.masks = splice(this.masks, from, to - from, masks);
+    this.lengths = splice(this.lengths, from, to - from, lengths);
+    this.starts = splice(this.starts, from, to - from, starts);
+
+    return result;
+  }
+
+}
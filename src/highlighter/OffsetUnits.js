@@ -0,0 +1,142 @@
+export const OffsetUnit = {
+  // JavaScript string offsets (the default)
+  UTF16: 'utf16',
+
+  // Unicode code points (e.g. Python string offsets)
+  CODEPOINT: 'codepoint',
+
+  // User-perceived characters (extended grapheme clusters)
+  GRAPHEME: 'grapheme'
+};
+
+export const IS_SEGMENTER_SUPPORTED =
+  typeof Intl !== 'undefined' && !!Intl.Segmenter;
+
+const SURROGATES = /[\uD800-\uDFFF]/;
+
+const isHighSurrogate = code =>
+  code >= 0xD800 && code <= 0xDBFF;
+
+const isLowSurrogate = code =>
+  code >= 0xDC00 && code <= 0xDFFF;
+
+/**
+ * The UTF-16 offsets of all unit boundaries in the text, including 0
+ * and text.length. Null if every UTF-16 offset is a boundary.
+ */
+const getBoundaries = (text, unit) => {
+  const boundaries = [];
+
+  if (unit === OffsetUnit.GRAPHEME) {
+    const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+    for (const { index } of segmenter.segment(text))
+      boundaries.push(index);
+  } else {
+    if (!SURROGATES.test(text))
+      return null;
+
+    for (let i = 0; i < text.length; i++) {
+      // Don't split surrogate pairs
+      if (!(i > 0 && isLowSurrogate(text.charCodeAt(i)) && isHighSurrogate(text.charCodeAt(i - 1))))
+        boundaries.push(i);
+    }
+  }
+
+  if (boundaries.length === text.length)
+    return null;
+
+  boundaries.push(text.length);
+  return boundaries;
+}
+
+// Unit offset -> UTF-16 offset, for the given boundaries
+const toUtf16 = (boundaries, length, offset) => {
+  if (!boundaries || offset < 0)
+    return offset;
+
+  const last = boundaries.length - 1;
+  return offset <= last ? boundaries[offset] : length + offset - last;
+}
+
+// UTF-16 offset -> unit offset, for the given boundaries
+const fromUtf16 = (boundaries, length, offset) => {
+  if (!boundaries || offset < 0)
+    return offset;
+
+  if (offset > length)
+    return boundaries.length - 1 + offset - length;
+
+  // Last boundary <= offset
+  let lo = 0;
+  let hi = boundaries.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (boundaries[mid] <= offset)
+      lo = mid;
+    else
+      hi = mid - 1;
+  }
+
+  return lo;
+}
+
+/**
+ * Converts between UTF-16 offsets into the given text, which is what the
+ * OffsetIndex and the Highlighter work with, and offsets in the configured
+ * unit, which is what selectors contain (see the 'offsetUnit' option).
+ *
+ * Independent of the unit, selections snap to grapheme clusters (or to
+ * code points, if the browser has no Intl.Segmenter).
+ */
+export default class OffsetUnits {
+
+  constructor(text, unit = OffsetUnit.UTF16) {
+    this.text = text;
+    this.length = text.length;
+    this.unit = unit;
+
+    this.boundaries = unit === OffsetUnit.UTF16 ? null : getBoundaries(text, unit);
+
+    // Computed on first snap
+    this.snapBoundaries = undefined;
+  }
+
+  _getSnapBoundaries = () => {
+    if (this.snapBoundaries === undefined) {
+      const snapUnit = IS_SEGMENTER_SUPPORTED ? OffsetUnit.GRAPHEME : OffsetUnit.CODEPOINT;
+      this.snapBoundaries = snapUnit === this.unit ?
+        this.boundaries : getBoundaries(this.text, snapUnit);
+    }
+
+    return this.snapBoundaries;
+  }
+
+  /** Unit offset -> UTF-16 offset. Offsets out of range stay out of range. **/
+  toUtf16 = offset =>
+    toUtf16(this.boundaries, this.length, offset);
+
+  /** UTF-16 offset -> unit offset. Offsets inside a unit count as its start. **/
+  fromUtf16 = offset =>
+    fromUtf16(this.boundaries, this.length, offset);
+
+  toUtf16Range = ({ start, end }) =>
+    ({ start: this.toUtf16(start), end: this.toUtf16(end) });
+
+  fromUtf16Range = ({ start, end }) =>
+    ({ start: this.fromUtf16(start), end: this.fromUtf16(end) });
+
+  /** Moves the UTF-16 offset back to the start of the cluster it's in **/
+  snapStart = offset => {
+    const boundaries = this._getSnapBoundaries();
+    return toUtf16(boundaries, this.length, fromUtf16(boundaries, this.length, offset));
+  }
+
+  /** Moves the UTF-16 offset forward to the end of the cluster it's in **/
+  snapEnd = offset => {
+    const boundaries = this._getSnapBoundaries();
+    const snapped = fromUtf16(boundaries, this.length, offset);
+    const start = toUtf16(boundaries, this.length, snapped);
+    return start === offset ? offset : toUtf16(boundaries, this.length, snapped + 1);
+  }
+
+}
@@ -0,0 +1,80 @@
+import { isFlatDescendant } from './FlatTree';
+import OffsetUnits from './OffsetUnits';
+
+/**
+ * One section of the content (see the 'sections' config option): an
+ * element with its own source URI and its own char offset space. A
+ * SectionIndex is a view on the OffsetIndex of the whole content, and
+ * can be used wherever an OffsetIndex is expected. Offsets are relative
+ * to the start of the section, and the text is the section's text only.
+ *
+ * Wrapping and unwrapping highlights doesn't move the section bounds.
+ * After the OffsetIndex is rebuilt, the view must be refreshed.
+ */
+export default class SectionIndex {
+
+  constructor(offsetIndex, element, source) {
+    this.index = offsetIndex;
+    this.root = element;
+    this.source = source;
+    this.document = offsetIndex.document;
+
+    this.refresh();
+  }
+
+  /** Re-computes the section bounds, after the OffsetIndex was rebuilt **/
+  refresh = () => {
+    // The host page may have removed the section element
+    if (this.root.isConnected) {
+      this.start = this.index.offsetAt(this.root, 0);
+      this.end = this.index.offsetAt(this.root, this.root.childNodes.length);
+    } else {
+      this.start = this.end = 0;
+    }
+
+    this.text = null;
+    this.units = null;
+  }
+
+  get length() {
+    return this.end - this.start;
+  }
+
+  get isFlat() {
+    return this.index.isFlat;
+  }
+
+  isExcluded = element =>
+    this.index.isExcluded(element);
+
+  getText = () => {
+    if (this.text === null)
+      this.text = this.index.getText().substring(this.start, this.end);
+
+    return this.text;
+  }
+
+  getUnits = () => {
+    if (this.units === null)
+      this.units = new OffsetUnits(this.getText(), this.index.offsetUnit);
+
+    return this.units;
+  }
+
+  positionAt = (charOffset, isEnd) =>
+    this.index.positionAt(this.start + charOffset, isEnd);
+
+  /** Points outside the section are clamped to its start or end **/
+  offsetAt = (node, offset) => {
+    const charOffset = this.index.offsetAt(node, offset) - this.start;
+    return Math.min(Math.max(charOffset, 0), this.length);
+  }
+
+  nodesBetween = (startNode, endNode) =>
+    this.index.nodesBetween(startNode, endNode);
+
+  /** True if the given DOM node lies inside this section **/
+  contains = node =>
+    this.index.isFlat ? isFlatDescendant(node, this.root) : this.root.contains(node);
+
+}
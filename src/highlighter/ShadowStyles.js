@@ -0,0 +1,71 @@
+// Rules that target Recogito elements, highlights or attributes
+const RECOGITO_RULE = /r6o-/;
+
+/**
+ * Document styles don't apply inside shadow trees. Copies all rules that
+ * target Recogito (i.e. that mention an 'r6o-' class, highlight name or
+ * attribute - including the host page's own overrides) into a <style>
+ * element in each shadow root.
+ *
+ * Shadow roots inside the content element also get the content rules,
+ * which the document can only express scoped to the content element
+ * (e.g. for 'ignoreSelector').
+ */
+export default class ShadowStyles {
+
+  constructor(doc) {
+    this.document = doc;
+
+    // Style elements, by shadow root
+    this.styleEls = new Map();
+  }
+
+  _collectRules = () =>
+    Array.from(this.document.styleSheets).reduce((rules, sheet) => {
+      let cssRules;
+
+      try {
+        cssRules = Array.from(sheet.cssRules);
+      } catch {
+        // Cross-origin stylesheet
+        return rules;
+      }
+
+      return rules.concat(cssRules
+        .map(rule => rule.cssText)
+        .filter(css => RECOGITO_RULE.test(css)));
+    }, []);
+
+  /**
+   * Creates or updates the style elements in the given shadow roots. The
+   * 'contentRoots' among them get the 'contentRules' as well.
+   */
+  update = (shadowRoots, contentRoots = [], contentRules = []) => {
+    const documentCss = this._collectRules().join('\n');
+
+    shadowRoots.forEach(root => {
+      const css = contentRoots.includes(root) ?
+        [ documentCss, ...contentRules ].join('\n') : documentCss;
+
+      let styleEl = this.styleEls.get(root);
+
+      if (!styleEl?.isConnected) {
+        styleEl = this.document.createElement('style');
+        styleEl.setAttribute('data-r6o-styles', '');
+
+        // First, so that the shadow root's own styles take precedence
+        root.insertBefore(styleEl, root.firstChild);
+        this.styleEls.set(root, styleEl);
+      }
+
+      if (styleEl.textContent !== css)
+        styleEl.textContent = css;
+    });
+  }
+
+  destroy = () => {
+    this.styleEls.forEach(styleEl => styleEl.parentNode?.removeChild(styleEl));
+    this.styleEls.clear();
+  }
+
+}
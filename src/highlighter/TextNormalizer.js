@@ -0,0 +1,166 @@
+/**
+ * Maps the raw text of the content DOM to the normalized character
+ * space that annotation offsets and quotes refer to. The DOM itself is
+ * never modified.
+ *
+ * Normalization policy (default mode):
+ *
+ * - Text is considered in 'runs': adjacent text nodes, not separated by
+ *   an element boundary. (Highlight SPANs don't count as boundaries, so
+ *   wrapping and unwrapping annotations never changes a run.)
+ * - A run that consists of whitespace only (e.g. the indentation between
+ *   block elements) counts as zero characters.
+ * - Inside other runs, a sequence of two or more whitespace characters
+ *   counts as a single space. A single whitespace character counts as
+ *   it is (e.g. a single line break stays a line break).
+ * - Element boundaries, including <br> and block elements, don't add
+ *   any characters.
+ * - Text in excluded elements (see 'ignoreSelector') doesn't count.
+ *
+ * This matches the offsets of earlier versions, which rewrote the
+ * content DOM to this form on startup.
+ *
+ * In 'pre' mode, all characters count as they are.
+ *
+ * The normalization of a text node is stored as a 'mask' with one entry
+ * per raw character (KEEP, SKIP or SPACE), or null if all characters
+ * are kept as they are.
+ */
+
+// Raw char counts as it is
+const KEEP = 0;
+
+// Raw char doesn't count (collapsed whitespace)
+const SKIP = 1;
+
+// Raw char counts as a single space (first char of collapsed whitespace)
+const SPACE = 2;
+
+const COLLAPSIBLE = /\s\s+/g;
+
+/**
+ * Normalization mask for the text of one run, or null if the text
+ * remains unchanged.
+ */
+export const normalizeRun = (text, preserveWhitespace) => {
+  if (preserveWhitespace || text.length === 0)
+    return null;
+
+  if (text.trim().length === 0)
+    return new Uint8Array(text.length).fill(SKIP);
+
+  let mask = null;
+
+  COLLAPSIBLE.lastIndex = 0;
+
+  let match = COLLAPSIBLE.exec(text);
+  while (match) {
+    mask = mask || new Uint8Array(text.length);
+    mask[match.index] = SPACE;
+    mask.fill(SKIP, match.index + 1, match.index + match[0].length);
+
+    match = COLLAPSIBLE.exec(text);
+  }
+
+  return mask;
+}
+
+/** The part of the mask for the given raw range (null if nothing changes there) **/
+export const sliceMask = (mask, start, length) => {
+  if (!mask)
+    return null;
+
+  const slice = mask.subarray(start, start + length);
+  return slice.some(v => v !== KEEP) ? slice : null;
+}
+
+/** Concatenates the masks of the given text nodes (null if nothing changes) **/
+export const concatMasks = (nodes, masks) => {
+  if (masks.every(m => !m))
+    return null;
+
+  const concatenated = new Uint8Array(nodes.reduce((total, n) => total + n.length, 0));
+
+  let offset = 0;
+  nodes.forEach((node, idx) => {
+    if (masks[idx])
+      concatenated.set(masks[idx], offset);
+
+    offset += node.length;
+  });
+
+  return concatenated;
+}
+
+/** Number of normalized chars for the given mask and raw length **/
+export const normalizedLength = (mask, rawLength) => {
+  if (!mask)
+    return rawLength;
+
+  let length = 0;
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i] !== SKIP)
+      length += 1;
+  }
+
+  return length;
+}
+
+/** Raw offset -> normalized offset, within one text node **/
+export const toNormalizedOffset = (mask, rawOffset) => {
+  if (!mask)
+    return rawOffset;
+
+  let offset = 0;
+  for (let i = 0; i < rawOffset && i < mask.length; i++) {
+    if (mask[i] !== SKIP)
+      offset += 1;
+  }
+
+  return offset;
+}
+
+/**
+ * Normalized offset -> raw offset, within one text node. Start offsets
+ * resolve to the position before the next counted char, end offsets
+ * ('isEnd') to the position after the previous counted char, so that
+ * skipped whitespace stays outside.
+ */
+export const toRawOffset = (mask, offset, isEnd) => {
+  if (!mask)
+    return offset;
+
+  if (isEnd && offset === 0)
+    return 0;
+
+  let counted = 0;
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i] !== SKIP) {
+      if (!isEnd && counted === offset)
+        return i;
+
+      counted += 1;
+
+      if (isEnd && counted === offset)
+        return i + 1;
+    }
+  }
+
+  return mask.length;
+}
+
+/** The normalized text of a text node **/
+export const normalizeText = (data, mask) => {
+  if (!mask)
+    return data;
+
+  let text = '';
+  for (let i = 0; i < data.length; i++) {
+    if (mask[i] === KEEP)
+      text += data[i];
+    else if (mask[i] === SPACE)
+      text += ' ';
+  }
+
+  return text;
+}
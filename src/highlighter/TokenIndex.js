@@ -0,0 +1,116 @@
+/**
+ * Token mode (see the 'tokenSelector' config option): the char offsets of
+ * the token elements in pre-tokenized content. Selections and highlights
+ * snap to token boundaries, and annotations can store the IDs of their
+ * first and last token as a TokenSelector:
+ *
+ * { type: 'TokenSelector', start: 'w12', end: 'w14' }
+ *
+ * Offsets refer to the OffsetIndex of the whole content. The TokenIndex
+ * must be rebuilt whenever the OffsetIndex is.
+ */
+export default class TokenIndex {
+
+  /**
+   * @param offsetIndex the OffsetIndex of the whole content
+   * @param selector CSS selector for the token elements
+   * @param idAttribute the attribute with the token ID (optional)
+   * @param queryAll finds the token elements in the content (including shadow roots)
+   */
+  constructor(offsetIndex, selector, idAttribute, queryAll) {
+    this.index = offsetIndex;
+    this.selector = selector;
+    this.idAttribute = idAttribute;
+    this.queryAll = queryAll;
+
+    this.build();
+  }
+
+  /** (Re-)builds the index from scratch **/
+  build = () => {
+    // Tokens without indexed text (e.g. in ignored elements) don't count
+    this.tokens = this.queryAll(this.selector)
+      .map(el => ({
+        el,
+        id: this.idAttribute ? el.getAttribute(this.idAttribute) : null,
+        start: this.index.offsetAt(el, 0),
+        end: this.index.offsetAt(el, el.childNodes.length)
+      }))
+      .filter(token => token.start < token.end)
+      .sort((a, b) => a.start - b.start);
+
+    this.byElement = new Map(this.tokens.map(token => [ token.el, token ]));
+    this.byId = new Map(this.tokens.filter(token => token.id).map(token => [ token.id, token ]));
+  }
+
+  /** The token for the given element, or the token element that contains it **/
+  tokenAt = node => {
+    const el = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+    return this.byElement.get(el?.closest(this.selector));
+  }
+
+  /** The tokens that overlap the given char offsets, in text order **/
+  tokensIn = ({ start, end }) => {
+    // First token that ends after the start
+    let lo = 0;
+    let hi = this.tokens.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.tokens[mid].end > start)
+        hi = mid;
+      else
+        lo = mid + 1;
+    }
+
+    const overlapping = [];
+    for (let i = lo; i < this.tokens.length && this.tokens[i].start < end; i++)
+      overlapping.push(this.tokens[i]);
+
+    return overlapping;
+  }
+
+  /**
+   * Expands (or shrinks) the given char offsets to the boundaries of the
+   * tokens they overlap. Offsets that don't overlap any token stay as
+   * they are.
+   */
+  snap = offsets => {
+    const tokens = this.tokensIn(offsets);
+    return tokens.length > 0 ?
+      { start: tokens[0].start, end: tokens[tokens.length - 1].end } : offsets;
+  }
+
+  /** The TokenSelector for the given DOM range, or null if the tokens have no IDs **/
+  getSelector = range => {
+    const offsets = {
+      start: this.index.offsetAt(range.startContainer, range.startOffset),
+      end: this.index.offsetAt(range.endContainer, range.endOffset)
+    };
+
+    return this.getSelectorAt(offsets);
+  }
+
+  /** The TokenSelector for the given char offsets, or null if the tokens have no IDs **/
+  getSelectorAt = offsets => {
+    const tokens = this.tokensIn(offsets);
+
+    const first = tokens[0];
+    const last = tokens[tokens.length - 1];
+
+    return first?.id && last?.id ?
+      { type: 'TokenSelector', start: first.id, end: last.id } : null;
+  }
+
+  /**
+   * Resolves the given TokenSelector to char offsets. Returns null if
+   * either token doesn't exist.
+   */
+  resolve = ({ start, end }) => {
+    const first = this.byId.get(start);
+    const last = this.byId.get(end);
+
+    return first && last && first.start < last.end ?
+      { start: first.start, end: last.end } : null;
+  }
+
+}
@@ -0,0 +1,155 @@
+export const IS_INTERSECTION_OBSERVER_SUPPORTED =
+  typeof IntersectionObserver !== 'undefined';
+
+// Sections within one viewport height are rendered...
+const NEAR_MARGIN = '100% 0px';
+
+// ...and torn down once they are more than three viewport heights away
+const FAR_MARGIN = '300% 0px';
+
+/**
+ * Tracks which sections of the content are near the viewport, for lazy
+ * highlight rendering. Sections are the element children of the content
+ * element (or the elements matching a custom selector). Each section
+ * keeps a bucket with the IDs of the annotations that overlap it.
+ *
+ * The 'onChange' callback receives the sections that came near the
+ * viewport ('entered'), and the ones that moved far away ('left').
+ *
+ * The 'extentOf' function returns an annotation's { start, end } offsets
+ * in the OffsetIndex.
+ */
+export default class Viewport {
+
+  constructor(contentEl, offsetIndex, selector, onChange, extentOf) {
+    this.el = contentEl;
+    this.index = offsetIndex;
+    this.selector = typeof selector === 'string' ? selector : null;
+    this.onChange = onChange;
+    this.extentOf = extentOf;
+
+    this.nearObserver = new IntersectionObserver(this._onNearChange, { rootMargin: NEAR_MARGIN });
+    this.farObserver = new IntersectionObserver(this._onFarChange, { rootMargin: FAR_MARGIN });
+
+    this.refresh();
+  }
+
+  /** (Re-)computes the sections and their char offsets, and (re-)starts observing **/
+  refresh = () => {
+    this.nearObserver.disconnect();
+    this.farObserver.disconnect();
+
+    const candidates = this.selector ?
+      Array.from(this.el.querySelectorAll(this.selector)) :
+      Array.from(this.el.children).filter(el => !this.index.isExcluded(el));
+
+    // Sections must not be nested
+    const elements = candidates.reduce((kept, el) => {
+      const previous = kept[kept.length - 1];
+      return previous?.contains(el) ? kept : [ ...kept, el ];
+    }, []);
+
+    this.sections = elements.map(el => ({
+      el,
+      start: this.index.offsetAt(el, 0),
+      end: this.index.offsetAt(el, el.childNodes.length),
+      annotationIds: new Set()
+    }));
+
+    this.sectionIdx = new Map(this.sections.map((s, idx) => [ s.el, idx ]));
+
+    this.near = new Set();
+    this.kept = new Set();
+
+    elements.forEach(el => {
+      this.nearObserver.observe(el);
+      this.farObserver.observe(el);
+    });
+  }
+
+  destroy = () => {
+    this.nearObserver.disconnect();
+    this.farObserver.disconnect();
+  }
+
+  _onNearChange = entries => {
+    const entered = [];
+
+    entries.forEach(entry => {
+      const idx = this.sectionIdx.get(entry.target);
+      if (entry.isIntersecting) {
+        this.near.add(idx);
+        entered.push(idx);
+      } else {
+        this.near.delete(idx);
+      }
+    });
+
+    if (entered.length > 0)
+      this.onChange({ entered, left: [] });
+  }
+
+  _onFarChange = entries => {
+    const left = [];
+
+    entries.forEach(entry => {
+      const idx = this.sectionIdx.get(entry.target);
+      if (entry.isIntersecting) {
+        this.kept.add(idx);
+      } else {
+        this.kept.delete(idx);
+        left.push(idx);
+      }
+    });
+
+    if (left.length > 0)
+      this.onChange({ entered: [], left });
+  }
+
+  /** Indices of the sections overlapping the given annotation **/
+  sectionsFor = annotation => {
+    const { start, end } = this.extentOf(annotation);
+
+    // Sections are sorted and non-overlapping - binary search the first one
+    let lo = 0;
+    let hi = this.sections.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.sections[mid].end <= start)
+        lo = mid + 1;
+      else
+        hi = mid;
+    }
+
+    const indices = [];
+    for (let i = lo; i < this.sections.length && this.sections[i].start < Math.max(end, start + 1); i++)
+      indices.push(i);
+
+    return indices;
+  }
+
+  assign = annotation => {
+    const indices = this.sectionsFor(annotation);
+    indices.forEach(i => this.sections[i].annotationIds.add(annotation.id));
+    return indices;
+  }
+
+  unassign = annotation =>
+    this.sectionsFor(annotation).forEach(i => this.sections[i].annotationIds.delete(annotation.id));
+
+  annotationIdsIn = sectionIndices => {
+    const ids = new Set();
+    sectionIndices.forEach(i => this.sections[i].annotationIds.forEach(id => ids.add(id)));
+    return Array.from(ids);
+  }
+
+  isNear = annotation =>
+    this.sectionsFor(annotation).some(i => this.near.has(i));
+
+  isKept = annotation =>
+    this.sectionsFor(annotation).some(i => this.kept.has(i));
+
+  clear = () =>
+    this.sections.forEach(s => s.annotationIds.clear());
+
+}
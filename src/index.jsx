@@ -7,7 +7,6 @@ import {
   setLocale
 } from '@recogito/recogito-client-core';
 import TextAnnotator from './TextAnnotator';
-import { deflateHTML } from './utils';
 
 import '@recogito/recogito-client-core/themes/default';
 
@@ -45,12 +44,12 @@ export class Recogito {
     // Deep-clone the original node, so we can easily destroy the Recogito instance
     this._originalContent = contentEl.cloneNode(true);
 
-    // Unless this is preformatted text, remove multi spaces and
-    // empty text nodes, so that HTML char offsets == browser offsets.
-    if (config.mode !== 'pre')
-      contentEl = deflateHTML(contentEl);
+    // Note that the content text is left as it is. Unless this is preformatted
+    // text ('pre' mode), whitespace is normalized when computing char offsets.
 
-    this._wrapperEl = document.createElement('DIV');
+    const ownerDocument = contentEl.ownerDocument;
+
+    this._wrapperEl = ownerDocument.createElement('DIV');
     this._wrapperEl.className = 'r6o-content-wrapper';
     this._wrapperEl.style.position = 'relative';
 
@@ -63,7 +62,7 @@ export class Recogito {
     }
 
 
-    this._appContainerEl = document.createElement('DIV');
+    this._appContainerEl = ownerDocument.createElement('DIV');
     this._wrapperEl.appendChild(this._appContainerEl);
 
     setLocale(config.locale);
@@ -81,6 +80,13 @@ export class Recogito {
         onAnnotationCreated={this.handleAnnotationCreated}
         onAnnotationUpdated={this.handleAnnotationUpdated}
         onAnnotationDeleted={this.handleAnnotationDeleted}
+        onAnnotationReanchored={this.handleAnnotationReanchored}
+        onAnchoringFailed={this.handleAnchoringFailed}
+        onQuoteMismatch={this.handleQuoteMismatch}
+        onSelectionChanged={this.handleSelectionChanged}
+        onAnnotationsCreated={this.handleAnnotationsCreated}
+        onAnnotationsUpdated={this.handleAnnotationsUpdated}
+        onAnnotationsDeleted={this.handleAnnotationsDeleted}
         onCancelSelected={this.handleCancelSelected} />, this._appContainerEl)
   }
 
@@ -100,6 +106,28 @@ export class Recogito {
   handleAnnotationDeleted = annotation =>
     this._emitter.emit('deleteAnnotation', annotation.underlying);
 
+  handleAnnotationReanchored = (annotation, previous) =>
+    this._emitter.emit('reanchorAnnotation', annotation.underlying, previous.underlying);
+
+  handleAnchoringFailed = (annotation, reason) =>
+    this._emitter.emit('anchoringFailed', annotation.underlying, reason);
+
+  handleQuoteMismatch = annotations =>
+    this._emitter.emit('quoteMismatch', annotations.map(a => a.underlying));
+
+  handleSelectionChanged = annotations =>
+    this._emitter.emit('selectionChanged', annotations.map(a => a.underlying));
+
+  // Bulk operations fire one event per batch, so that hosts can save in one request
+  handleAnnotationsCreated = annotations =>
+    this._emitter.emit('createAnnotations', annotations.map(a => a.underlying));
+
+  handleAnnotationsUpdated = (annotations, previous) =>
+    this._emitter.emit('updateAnnotations', annotations.map(a => a.underlying), previous.map(a => a.underlying));
+
+  handleAnnotationsDeleted = annotations =>
+    this._emitter.emit('deleteAnnotations', annotations.map(a => a.underlying));
+
   handleCancelSelected = annotation =>
     this._emitter.emit('cancelSelected', annotation.underlying);
 
@@ -115,6 +143,12 @@ export class Recogito {
     this._app.current.addAnnotation(new WebAnnotation(annotation));
   };
 
+  /** Adds a tag to all annotations in the multi-selection. Fires 'updateAnnotations'. **/
+  addTagToSelected = tag => {
+    const updated = this._app.current.addTagToSelected(tag);
+    return updated.map(a => a.underlying);
+  }
+
   updateAnnotation = (annotation, prevAnnotation, silent = false) => {
     this._app.current.addAnnotation(new WebAnnotation(annotation), new WebAnnotation(prevAnnotation), silent);
   };
@@ -124,6 +158,16 @@ export class Recogito {
     this._emitter.emit('deleteAnnotation', annotation);
   };
 
+  /**
+   * Deletes the annotations with the given IDs - or, without IDs, the
+   * multi-selection - plus the relations attached to them. Fires one
+   * 'deleteAnnotations' event.
+   */
+  deleteAnnotations = ids => {
+    const deleted = this._app.current.deleteAnnotations(ids);
+    return deleted.map(a => a.underlying);
+  }
+
   clearAnnotations = () =>
     this.setAnnotations(null);
 
@@ -137,6 +181,9 @@ export class Recogito {
     this._app.current.setHighlightedAnnotation('');
   };
 
+  clearFilter = () =>
+    this._app.current.clearFilter();
+
   clearAuthInfo = () =>
     this._environment.user = null;
 
@@ -167,6 +214,52 @@ export class Recogito {
     return annotations.map(a => a.underlying);
   }
 
+  /**
+   * The annotations at the given client (viewport) coordinates, shortest
+   * first. Overlapping annotations are all included.
+   */
+  getAnnotationsAt = (x, y) => {
+    const annotations = this._app.current.getAnnotationsAt(x, y);
+    return annotations.map(a => a.underlying);
+  }
+
+  /**
+   * The annotations that cover the given char offset, shortest first.
+   * Offsets count like those of TextPositionSelectors (see 'offsetUnit').
+   * With sections, the optional source selects the section.
+   */
+  getAnnotationsAtOffset = (offset, source) => {
+    const annotations = this._app.current.getAnnotationsAtOffset(offset, source);
+    return annotations.map(a => a.underlying);
+  }
+
+  /** The annotations in the multi-selection (see 'multiSelect'), in the order they were selected **/
+  getSelected = () => {
+    const selected = this._app.current.getSelected();
+    return selected.map(a => a.underlying);
+  }
+
+  /**
+   * Links all annotations in the multi-selection to the given annotation,
+   * with relations that carry the given tag. Fires 'createAnnotations'.
+   */
+  linkSelectedTo = (annotationOrId, tag) => {
+    const created = this._app.current.linkSelectedTo(this._wrap(annotationOrId), tag);
+    return created.map(a => a.underlying);
+  }
+
+  /** Annotations that could not be attached to the text (included in .getAnnotations) **/
+  getOrphanedAnnotations = () => {
+    const orphans = this._app.current.getOrphanedAnnotations();
+    return orphans.map(a => a.underlying);
+  }
+
+  /** The annotations that pass the current filter (see .setFilter) **/
+  getVisibleAnnotations = () => {
+    const annotations = this._app.current.getVisibleAnnotations();
+    return annotations.map(a => a.underlying);
+  }
+
   loadAnnotations = (url, requestArgs) => fetch(url, requestArgs)
     .then(response => response.json()).then(annotations => {
       return this.setAnnotations(annotations).then(() => annotations);
@@ -186,11 +279,43 @@ export class Recogito {
     this._app.current.readOnly = readOnly;
   }
 
+  /**
+   * Re-attaches an orphaned annotation to the text: the next text
+   * selection by the user becomes the new target, and opens the
+   * editor. Saving fires an 'updateAnnotation' event.
+   */
+  reattachAnnotation = annotationOrId => {
+    const orphan = this._app.current.reattachAnnotation(this._wrap(annotationOrId));
+    return orphan?.underlying;
+  }
+
+  /** Removes a tag from all annotations in the multi-selection. Fires 'updateAnnotations'. **/
+  removeTagFromSelected = tag => {
+    const updated = this._app.current.removeTagFromSelected(tag);
+    return updated.map(a => a.underlying);
+  }
+
   selectAnnotation = annotationOrId => {
     const selected = this._app.current.selectAnnotation(this._wrap(annotationOrId));
     return selected?.underlying;
   }
 
+  /**
+   * Selects a text range and opens the editor on it, for a new annotation
+   * (even if an existing one covers the same text). The range is either
+   * char offsets ({ start, end }, counted like TextPositionSelector
+   * offsets) or a quote and its occurrence in the text ({ quote,
+   * occurrence }, with 0 for the first). Whitespace in the quote is
+   * collapsed like in the content. With sections, 'source' picks the
+   * section. In headless mode, fires 'createAnnotation' right away.
+   * Cancels a pending .reattachAnnotation.
+   *
+   * @returns false if the range couldn't be selected (e.g. if it doesn't
+   * resolve, or covers only ignored content)
+   */
+  selectRange = range =>
+    this._app.current.selectRange(range);
+
   setAnnotations = arg => {
     const annotations = arg || [];
     const webannotations = annotations.map(a => new WebAnnotation(a));
@@ -200,6 +325,27 @@ export class Recogito {
   setAuthInfo = authinfo =>
     this._environment.user = authinfo;
 
+  /**
+   * Replaces the formatter, and re-styles all rendered annotations. The
+   * formatter is called per span, with the annotation and the span's
+   * position in it (first/last span, fragment index) as arguments.
+   */
+  setFormatter = formatter =>
+    this._app.current.setFormatter(formatter);
+
+  /** Re-applies the formatter to the given annotations (IDs), or all annotations **/
+  refreshStyles = annotationIds =>
+    this._app.current.refreshStyles(annotationIds);
+
+  /**
+   * Hides all annotations for which the predicate returns false, along
+   * with any relations attached to them. The predicate is called with
+   * the annotation (W3C WebAnnotation JSON). Hidden annotations are
+   * still returned by .getAnnotations.
+   */
+  setFilter = predicate =>
+    this._app.current.setFilter(predicate ? annotation => predicate(annotation.underlying) : null);
+
   setServerTime = timestamp =>
     this._environment.setServerTime(timestamp);
 
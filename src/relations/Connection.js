@@ -9,7 +9,7 @@ import { getNodeById } from './RelationUtils'
  */
 export default class Connection extends EventEmitter {
 
-  constructor(contentEl, svgEl, nodeOrAnnotation) {
+  constructor(highlighter, svgEl, nodeOrAnnotation) {
     super();
 
     this.svgEl = svgEl;
@@ -27,7 +27,7 @@ export default class Connection extends EventEmitter {
     // (when loading), or as a 'floating' relation, attached to a start
     // node (when drawing a new one).
     const props = nodeOrAnnotation.type === 'Annotation' ?
-     this.initFromAnnotation(contentEl, svgEl, nodeOrAnnotation) :
+     this.initFromAnnotation(highlighter, svgEl, nodeOrAnnotation) :
      this.initFromStartNode(svgEl, nodeOrAnnotation);
 
     this.annotation = props.annotation;
@@ -50,14 +50,14 @@ export default class Connection extends EventEmitter {
   }
 
   /** Initializes a fixed connection from an annotation **/
-  initFromAnnotation = function(contentEl, svgEl, annotation) {
+  initFromAnnotation = function(highlighter, svgEl, annotation) {
     const [ fromId, toId ] = annotation.target.map(t => t.id);
     const relation = annotation.bodies[0].value;
 
-    const fromNode = getNodeById(contentEl, fromId);
+    const fromNode = getNodeById(highlighter, fromId);
     const fromBounds = new Bounds(fromNode.elements, svgEl);
 
-    const toNode = getNodeById(contentEl, toId);
+    const toNode = getNodeById(highlighter, toId);
     const toBounds = new Bounds(toNode.elements, svgEl);
 
     const currentEnd = toNode;
@@ -102,6 +102,43 @@ export default class Connection extends EventEmitter {
     }
   }
 
+  /**
+   * Re-resolves start and end node, after the Highlighter has re-rendered
+   * their highlights (e.g. because the content changed).
+   *
+   * @returns false if one of the annotations no longer has a highlight
+   */
+  rebind = highlighter => {
+    const fromNode = getNodeById(highlighter, this.startAnnotation.id);
+    const toNode = getNodeById(highlighter, this.endAnnotation.id);
+
+    if (!fromNode || !toNode)
+      return false;
+
+    this.fromNode = fromNode;
+    this.fromBounds = new Bounds(fromNode.elements, this.svgEl);
+
+    this.toNode = toNode;
+    this.toBounds = new Bounds(toNode.elements, this.svgEl);
+
+    this.currentEnd = toNode;
+
+    this.redraw();
+    return true;
+  }
+
+  /** Hides (or shows) the line, dots and handle **/
+  setHidden = hidden => {
+    const display = hidden ? 'none' : '';
+
+    this.path.style.display = display;
+    this.startDot.style.display = display;
+    this.endDot.style.display = display;
+
+    if (this.handle)
+      this.handle.g.style.display = display;
+  }
+
   destroy = () => {
     this.svgEl.removeChild(this.path);
     this.svgEl.removeChild(this.startDot);
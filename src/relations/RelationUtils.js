@@ -2,54 +2,27 @@
  * Returns the 'graph node' ({ annotation: ..., elements: ...}) for the
  * given annotation ID.
  */
-export const getNodeById = function(contentEl, annotationId) {
-  const elements = contentEl.querySelectorAll(`*[data-id="${annotationId}"]`);
+export const getNodeById = function(highlighter, annotationId) {
+  const elements = highlighter.findAnnotationSpans(annotationId);
   return (elements.length > 0) ? 
-    { annotation: elements[0].annotation, elements: Array.from(elements) } : null;
+    { annotation: elements[0].annotation, elements } : null;
 };
 
 /**
  * Returns the graph node for the target of the given mouse event (or
  * null if the event target is not an annotation span).
  */
-export const getNodeForEvent = function(evt) {
-  // Sorts annotations by length, so we can reliably get the inner-most
-  const sortByQuoteLengthDesc = annotations => 
-    annotations.sort((a, b) => a.quote.length - b.quote.length);
-
-  const annotationSpan = evt.target.closest('.r6o-annotation');
+export const getNodeForEvent = function(evt, highlighter) {
+  const annotationSpan = highlighter.getAnnotationSpanAt(evt);
 
   if (annotationSpan) {
-    // All stacked annotation spans
-    const spans = getAnnotationSpansRecursive(annotationSpan);
-
-    // Annotation from the inner-most span in the stack
-    const annotation = sortByQuoteLengthDesc(spans.map(span => span.annotation))[0];
+    // Annotation of the lane under the mouse, or from the inner-most span in the stack
+    const annotation = highlighter.getLaneSpanAt(evt)?.annotation ||
+      highlighter.getAnnotationsAt(annotationSpan)[0];
 
     // ALL spans for this annotation (not just the hovered one)
-    const elements = document.querySelectorAll(`.r6o-annotation[data-id="${annotation.id}"]`);
+    const elements = highlighter.findAnnotationSpans(annotation);
     
-    return { annotation, elements: Array.from(elements) };    
+    return { annotation, elements };    
   }
 }
-
-/**
- * Helper: gets all stacked annotation SPANS for an element.
- *
- * Reminder - annotations can be nested. This helper retrieves the whole stack.
- *
- * <span class="annotation" data-id="annotation-01">
- *   <span class="annotation" data-id="annotation-02">
- *     <span class="annotation" data-id="annotation-03">foo</span>
- *   </span>
- * </span>
- */
-export const getAnnotationSpansRecursive = function(element, s) {
-  const spans = s ? s : [ ];
-  spans.push(element);
-
-  const parent = element.parentNode;
-
-  return parent.classList.contains('r6o-annotation') ?
-    getAnnotationSpansRecursive(parent, spans) : spans;
-}
\ No newline at end of file
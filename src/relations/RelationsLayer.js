@@ -7,12 +7,13 @@ import './RelationsLayer.scss';
 
 export default class RelationsLayer extends EventEmitter {
 
-  constructor(contentEl) {
+  constructor(contentEl, highlighter, focusScope) {
     super();
 
     this.connections = [];
 
     this.contentEl = contentEl;
+    this.highlighter = highlighter;
 
     this.svg = document.createElementNS(CONST.NAMESPACE, 'svg');
     this.svg.setAttribute('class', 'r6o-relations-layer');
@@ -20,7 +21,7 @@ export default class RelationsLayer extends EventEmitter {
 
     this.readOnly = true;  // deactivate by default
 
-    this.drawingTool = new DrawingTool(contentEl, this.svg);
+    this.drawingTool = new DrawingTool(contentEl, this.svg, highlighter, focusScope);
 
     // Forward events
     this.drawingTool.on('createRelation', relation => this.emit('createRelation', relation));
@@ -34,14 +35,26 @@ export default class RelationsLayer extends EventEmitter {
 
   /** Shorthand **/
   createConnection = annotation => {
-    const c = new Connection(this.contentEl, this.svg, annotation);
+    const c = new Connection(this.highlighter, this.svg, annotation);
 
     // Forward click event as selection, unless we're read-only
     c.on('click', relation => this.emit('selectRelation', relation));
 
+    c.setHidden(!this.isVisible(c));
+
     return c
   }
 
+  /** A relation is visible if the annotations on both ends are (see Highlighter.setFilter) **/
+  isVisible = connection =>
+    !connection.detached &&
+    this.highlighter.isVisible(connection.startAnnotation.id) &&
+    this.highlighter.isVisible(connection.endAnnotation.id);
+
+  /** Re-applies the Highlighter's visibility filter to all relations **/
+  updateVisibility = () =>
+    this.connections.forEach(c => c.setHidden(!this.isVisible(c)));
+
   clear = () => {
     this.connections.forEach(c => c.destroy());
     this.connections = [];
@@ -66,6 +79,17 @@ export default class RelationsLayer extends EventEmitter {
     setTimeout(() => this.recomputeAll(), 1);
   }
 
+  /**
+   * Re-attaches all connections to the current highlights, after the
+   * content has changed. Connections to annotations that no longer
+   * have a highlight are hidden.
+   */
+  rebindAll = () =>
+    this.connections.forEach(c => {
+      c.detached = !c.rebind(this.highlighter);
+      c.setHidden(!this.isVisible(c));
+    });
+
   recomputeAll = () => {
     this.connections.forEach(conn => {
       conn.recompute();
@@ -123,6 +147,9 @@ export default class RelationsLayer extends EventEmitter {
     return this.connections.map(c => c.annotation);
   }
 
+  getVisibleRelations = () =>
+    this.connections.filter(this.isVisible).map(c => c.annotation);
+
   /**
    * Get the relations that have the given annotation as start
    * or end node.
@@ -132,6 +159,11 @@ export default class RelationsLayer extends EventEmitter {
       c.startAnnotation.id === annotation.id || c.endAnnotation.id === annotation.id);
   }
 
+  /** True if there is a relation from the one annotation to the other **/
+  isLinked = (from, to) =>
+    this.connections.some(c =>
+      c.startAnnotation.id === from.id && c.endAnnotation.id === to.id);
+
   destroyConnectionsFor = annotation => {
     const connections = this.getConnectionsFor(annotation);
     connections.forEach(c => c.destroy());
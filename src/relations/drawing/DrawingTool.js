@@ -20,11 +20,13 @@ const delegatingHandler = (selector, handler) => evt => {
  */
 export default class DrawingTool extends EventEmitter {
 
-  constructor(contentEl, svgEl) {
+  constructor(contentEl, svgEl, highlighter, focusScope) {
     super();
 
     this.contentEl = contentEl;
     this.svgEl = svgEl;
+    this.highlighter = highlighter;
+    this.focusScope = focusScope;
 
     this.currentHover = null;
     this.currentConnection = null;
@@ -40,7 +42,7 @@ export default class DrawingTool extends EventEmitter {
     this.contentEl.addEventListener('mouseover', this.onEnterAnnotation);
     this.contentEl.addEventListener('mouseout', this.onLeaveAnnotation);
 
-    document.addEventListener('keydown', this.onKeyDown);
+    this.contentEl.ownerDocument.addEventListener('keydown', this.onKeyDown);
   }
 
   detachHandlers = () => {
@@ -53,11 +55,11 @@ export default class DrawingTool extends EventEmitter {
     this.contentEl.removeEventListener('mouseover', this.onEnterAnnotation);
     this.contentEl.removeEventListener('mouseleave', this.onLeaveAnnotation);
 
-    document.removeEventListener('keydown', this.onKeyDown);
+    this.contentEl.ownerDocument.removeEventListener('keydown', this.onKeyDown);
   }
 
   onMouseDown = evt => {
-    const node = getNodeForEvent(evt);
+    const node = getNodeForEvent(evt, this.highlighter);
     if (node) {
       if (this.currentConnection) {
         this.completeConnection(node);
@@ -68,6 +70,17 @@ export default class DrawingTool extends EventEmitter {
   }
 
   onMouseMove = evt => {
+    // In 'highlights' render mode, there are no annotation elements
+    // to fire mouseover/mouseout - hit-test instead
+    if (this.highlighter.highlights) {
+      const node = getNodeForEvent(evt, this.highlighter);
+      if (node?.annotation !== this.currentHover?.annotation) {
+        this.hover();
+        if (node)
+          this.hover(node.elements);
+      }
+    }
+
     if (this.currentConnection && this.currentConnection.isFloating) {
       if (this.currentHover)  {
         this.currentConnection.dragTo(this.currentHover.node);
@@ -92,18 +105,21 @@ export default class DrawingTool extends EventEmitter {
   }
 
   onKeyDown = evt => {
-    if (evt.which === 27) { // Escape
+    const isFocused = this.focusScope ? this.focusScope.isFocused : true;
+    if (evt.which === 27 && isFocused) { // Escape
       this.reset();
       this.emit('cancelDrawing');
     }
   }
 
-  /** Emphasise hovered annotation **/
-  onEnterAnnotation = delegatingHandler('.r6o-annotation', evt => {
+  /** Emphasise hovered annotation (annotations hidden by the filter don't react) **/
+  onEnterAnnotation = delegatingHandler('.r6o-annotation:not([data-r6o-hidden])', evt => {
     if (this.currentHover)
       this.hover();
 
-    this.hover(getNodeForEvent(evt).elements);
+    const node = getNodeForEvent(evt, this.highlighter);
+    if (node)
+      this.hover(node.elements);
   });
 
   /** Clear hover emphasis **/
@@ -125,7 +141,7 @@ export default class DrawingTool extends EventEmitter {
 
   /** Start drawing a new connection line **/
   startNewConnection = fromNode => {
-    this.currentConnection = new Connection(this.contentEl, this.svgEl, fromNode);
+    this.currentConnection = new Connection(this.highlighter, this.svgEl, fromNode);
     this.contentEl.classList.add('r6o-drawing');
     this.render();
   }
@@ -0,0 +1,86 @@
+import React, { Component } from 'react';
+import { getFragments } from '../anchoring';
+
+const MAX_QUOTE_LENGTH = 40;
+
+/** The annotation's quote (across all fragments), shortened if necessary **/
+const getQuote = annotation => {
+  const quote = getFragments(annotation).map(f => f.quote).filter(Boolean).join(' … ');
+  return quote.length > MAX_QUOTE_LENGTH ?
+    `${quote.substring(0, MAX_QUOTE_LENGTH - 1)}…` : quote;
+}
+
+/** Shorthand to get the first tag body value, if any **/
+const getTag = annotation =>
+  annotation.bodies.find(b => b.purpose === 'tagging')?.value;
+
+/** The name (or ID) of the annotation's creator, or else of the first body's creator **/
+const getCreator = annotation => {
+  const creator = annotation.underlying.creator || annotation.bodies.find(b => b.creator)?.creator;
+  return typeof creator === 'string' ? creator : creator?.name || creator?.id;
+}
+
+/**
+ * A small popup that lists the overlapping annotations at a click point,
+ * so that the user can pick annotations hidden under shorter ones. Opens
+ * above the clicked annotation, while the editor opens below.
+ */
+export default class AnnotationPicker extends Component {
+
+  constructor(props) {
+    super(props);
+
+    this.element = React.createRef();
+  }
+
+  componentDidMount() {
+    this.setPosition();
+  }
+
+  componentDidUpdate() {
+    this.setPosition();
+  }
+
+  setPosition() {
+    if (this.element.current) {
+      const el = this.element.current;
+
+      const containerBounds = this.props.wrapperEl.getBoundingClientRect();
+      const { left, top } = this.props.selectedElement.getBoundingClientRect();
+
+      el.style.top = `${top - containerBounds.top}px`;
+      el.style.left = `${left - containerBounds.left}px`;
+    }
+  }
+
+  // A mousedown outside the content would de-select
+  onMouseDown = evt =>
+    evt.stopPropagation();
+
+  render() {
+    return (
+      <ul className="r6o-annotation-picker" ref={this.element} onMouseDown={this.onMouseDown}>
+        { this.props.annotations.map(annotation => {
+          const isSelected = annotation.id === this.props.selected?.id;
+
+          const tag = getTag(annotation);
+          const creator = getCreator(annotation);
+
+          return (
+            <li key={annotation.id} className={isSelected ? 'selected' : null}>
+              <button
+                type="button"
+                aria-current={isSelected}
+                onClick={() => this.props.onSelect(annotation)}>
+                <span className="r6o-picker-quote">{getQuote(annotation)}</span>
+                { tag && <span className="r6o-picker-tag">{tag}</span> }
+                { creator && <span className="r6o-picker-creator">{creator}</span> }
+              </button>
+            </li>
+          )
+        })}
+      </ul>
+    )
+  }
+
+}
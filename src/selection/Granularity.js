@@ -0,0 +1,74 @@
+export const Granularity = {
+  // Any grapheme cluster (the default)
+  CHAR: 'char',
+
+  WORD: 'word',
+
+  SENTENCE: 'sentence'
+};
+
+// Whitespace and punctuation, removed from the edges by the 'trim' option
+const TRIMMED = /[\s\p{P}]/u;
+
+/**
+ * The word or sentence segment at the given offset, segmenting only the
+ * text of the given block ({ start, end }), with the index in the text
+ */
+const segmentAt = (text, offset, unit, block) => {
+  const segment = new Intl.Segmenter(undefined, { granularity: unit })
+    .segment(text.substring(block.start, block.end))
+    .containing(offset - block.start);
+
+  return { ...segment, index: block.start + segment.index };
+}
+
+/**
+ * Expands the given char offsets ({ start, end }) into the text, so that
+ * they cover whole words or sentences (via Intl.Segmenter). With 'trim',
+ * whitespace and punctuation at both edges are removed afterwards - unless
+ * that would leave nothing at all.
+ *
+ * Block elements add no characters to the text, so 'blockAt' returns the
+ * { start, end } of the block around an offset, which words and sentences
+ * don't extend past.
+ *
+ * @param granularity { unit, trim }
+ */
+export const snapToGranularity = (text, { start, end }, { unit, trim }, blockAt) => {
+  if (start >= end)
+    return { start, end };
+
+  if (unit === Granularity.WORD || unit === Granularity.SENTENCE) {
+    const first = segmentAt(text, start, unit, blockAt(start));
+    const last = segmentAt(text, end - 1, unit, blockAt(end - 1));
+
+    if (unit === Granularity.WORD) {
+      // Selections that start or end in whitespace or punctuation stay as they are
+      if (first.isWordLike)
+        start = first.index;
+
+      if (last.isWordLike)
+        end = last.index + last.segment.length;
+    } else {
+      // Sentence segments include the whitespace after the sentence
+      start = first.index;
+      end = Math.max(end, last.index + last.segment.trimEnd().length);
+    }
+  }
+
+  if (trim) {
+    let trimmedStart = start;
+    let trimmedEnd = end;
+
+    while (trimmedStart < trimmedEnd && TRIMMED.test(text.charAt(trimmedStart)))
+      trimmedStart++;
+
+    while (trimmedEnd > trimmedStart && TRIMMED.test(text.charAt(trimmedEnd - 1)))
+      trimmedEnd--;
+
+    if (trimmedStart < trimmedEnd)
+      return { start: trimmedStart, end: trimmedEnd };
+  }
+
+  return { start, end };
+}
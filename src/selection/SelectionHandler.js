@@ -1,8 +1,52 @@
-import { rangeToSelection, enableTouch, getExactOverlaps } from './SelectionUtils';
+import {
+  rangeToSelection,
+  rangeToOffsets,
+  offsetsToRange,
+  clipRange,
+  getSelectedRange,
+  addToSelection,
+  getExactOverlaps,
+  disableSelectionFor,
+  unselectableRule
+} from './SelectionUtils';
+import { Granularity } from './Granularity';
+import { IS_SEGMENTER_SUPPORTED } from '../highlighter/OffsetUnits';
+import TouchSelection from './TouchSelection';
 import EventEmitter from 'tiny-emitter';
 
 const IS_TOUCH = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
 
+const IS_MAC = /Mac|iPhone|iPad/.test(navigator?.platform || '');
+
+/** Ctrl-drag (Cmd-drag on Mac) adds another range to the current selection **/
+const isAddRangeEvent = evt =>
+  IS_MAC ? evt.metaKey : evt.ctrlKey;
+
+/** Enter or Ctrl+Alt+A opens the editor for the keyboard selection **/
+const isOpenEditorEvent = evt =>
+  evt.key === 'Enter' || (evt.ctrlKey && evt.altKey && evt.code === 'KeyA');
+
+/**
+ * 'keyboard' mode caret movement, as [ direction, granularity ] for
+ * Selection.modify. Ctrl (Alt on Mac) moves word by word.
+ */
+const getCaretMove = evt => {
+  const byWord = IS_MAC ? evt.altKey : evt.ctrlKey;
+
+  switch (evt.key) {
+    case 'ArrowLeft': return [ 'backward', byWord ? 'word' : 'character' ];
+    case 'ArrowRight': return [ 'forward', byWord ? 'word' : 'character' ];
+    case 'ArrowUp': return [ 'backward', 'line' ];
+    case 'ArrowDown': return [ 'forward', 'line' ];
+    case 'Home': return [ 'backward', 'lineboundary' ];
+    case 'End': return [ 'forward', 'lineboundary' ];
+  }
+}
+
+/** The innermost event target, also inside shadow roots **/
+const getEventTarget = evt =>
+  evt.composedPath?.()[0] || evt.target;
+
 const IS_INTERNET_EXPLORER =
   navigator?.userAgent.match(/(MSIE|Trident)/);
 
@@ -22,7 +66,7 @@ const contains = (containerEl, maybeChildEl) => {
 };
 
 // Function to clear selection for all browsers
-const clearBrowserSelection = (document, emitFn, isIpad) => {
+const clearBrowserSelection = (document, emitFn) => {
   const selection = document.getSelection();
 
   if (selection) {
@@ -35,35 +79,43 @@ const clearBrowserSelection = (document, emitFn, isIpad) => {
     } else if (document.selection) {  // Internet Explorer
       document.selection.empty();
       emitFn();  // Emit deselect event
-    } else if (isIpad) {
-      // Fallback for iPads
-      const activeElement = document.activeElement;
-      if (activeElement && typeof activeElement.blur === 'function') {
-        activeElement.blur();
-      }
-      // Create a collapsed range
-      const range = document.createRange();
-      range.collapse(true);
-      selection.removeAllRanges();
-      selection.addRange(range);
-      // Emit deselect event
-      emitFn();
     }
   }
 };
 
 export default class SelectionHandler extends EventEmitter {
 
-  constructor(element, highlighter, readOnly, extraEl = null) {
+  constructor(element, highlighter, readOnly, extraEl = null, config = {}) {
     super();
 
     this.el = element;
     this.highlighter = highlighter;
     this.readOnly = readOnly;
     this.extraEl = extraEl;
+    this.config = config;
 
     this.isEnabled = true;
 
+    // Where the focus goes after a keyboard selection (see _returnFocus)
+    this.returnFocusEl = null;
+
+    // Snapping of selections to words or sentences, if any
+    this.granularity = this._getGranularity(config.selectionGranularity);
+
+    // Token mode: the token that Shift-click extends the selection from
+    this.anchorToken = null;
+
+    // The overlapping annotations at the last click point, as { ids,
+    // annotations, element, index } (see _selectFromStack)
+    this.stack = null;
+
+    // With 'multiSelect', Shift- or Ctrl-click (Cmd-click on Mac) on an
+    // annotation adds it to (or removes it from) the multi-selection, and
+    // Alt-drag selects all annotations in a rectangle ('rubber band')
+    this.multiSelect = !!config.multiSelect;
+    this.pendingToggle = false;
+    this.rubberBand = null;
+
     this.document = element.ownerDocument;
 
     element.addEventListener('mousedown', this._onMouseDown);
@@ -72,25 +124,77 @@ export default class SelectionHandler extends EventEmitter {
     // Add event listener for clicks outside the content element
     this.document.addEventListener('mousedown', this._onDocumentMouseDown);
 
+    // Text in ignored elements ('ignoreSelector') can't be selected
+    if (config.ignoreSelector) {
+      this.ignoreStyleEl = disableSelectionFor(element, config.ignoreSelector);
+      highlighter.addShadowRule(unselectableRule(config.ignoreSelector));
+    }
+
+    // With 'keyboard', the content is focusable, and has a caret for
+    // selecting text without a mouse
+    if (config.keyboard) {
+      if (!element.hasAttribute('tabindex')) {
+        element.tabIndex = 0;
+        this.addedTabIndex = true;
+      }
+
+      element.setAttribute('aria-keyshortcuts', 'Enter Control+Alt+A');
+      element.addEventListener('keydown', this._onKeyDown);
+    }
+
+    // On touch devices, the selection is adjusted with our own handles
+    // (see TouchSelection), with the global offsets in 'touchOffsets'
     if (IS_TOUCH) {
-      enableTouch(
-        element,
-        this._onMouseUp,
-        () => this.removeSelectionSpans(this.document),
-        (selection) => {  // End callback receives the real selection
-          const selectedRange = selection.getRangeAt(0); // Get the real selected range
-          // Convert the range to the appropriate format for emitting
-          const stub = rangeToSelection(selectedRange, this.el);
-          this.emit('select', {
-            selection: stub, // Pass the real selection here
-            element: selectedRange // Optionally pass more info about the element or range
-          });
-          clearBrowserSelection(this.document, () => {}, true); // Clear the selection afterward
-        }
-      );
+      this.touchOffsets = null;
+      this.touch = new TouchSelection(element, {
+        onSelect: this._onTouchSelect,
+        onMoveHandle: this._onTouchMoveHandle,
+        onAnnotate: this._onTouchAnnotate
+      });
     }
   }
 
+  /**
+   * The 'selectionGranularity' config option is either the unit ('char',
+   * 'word' or 'sentence'), or { unit, trim }, where 'trim' removes
+   * whitespace and punctuation at the edges. Returns null if selections
+   * stay as they are.
+   */
+  _getGranularity = option => {
+    if (!option)
+      return null;
+
+    let { unit = Granularity.CHAR, trim = false } =
+      typeof option === 'string' ? { unit: option } : option;
+
+    if (!Object.values(Granularity).includes(unit)) {
+      console.warn(`Unknown selection granularity: ${unit} - using 'char'`);
+      unit = Granularity.CHAR;
+    }
+
+    if (unit !== Granularity.CHAR && !IS_SEGMENTER_SUPPORTED) {
+      console.warn('Intl.Segmenter not supported - selections will not snap to words or sentences');
+      unit = Granularity.CHAR;
+    }
+
+    return unit === Granularity.CHAR && !trim ? null : { unit, trim };
+  }
+
+  /** Options for snapping selected ranges (see clipRange) **/
+  _clipOpts = () => ({
+    granularity: this.granularity,
+    blockAt: this.highlighter.blockAt,
+    tokens: this.highlighter.tokens
+  });
+
+  /** Options for converting DOM ranges to selections **/
+  _selectionOpts = () => ({
+    contextLength: this.config.quoteContextLength,
+    rangeSelector: this.config.rangeSelector,
+    positionSelector: this.config.positionSelector,
+    tokens: this.highlighter.tokens
+  });
+
   get enabled() {
     return this.isEnabled;
   }
@@ -103,68 +207,532 @@ export default class SelectionHandler extends EventEmitter {
     this.el.removeEventListener('mousedown', this._onMouseDown);
     this.el.removeEventListener('mouseup', this._onMouseUp);
     this.document.removeEventListener('mousedown', this._onDocumentMouseDown);
+    this.ignoreStyleEl?.parentNode?.removeChild(this.ignoreStyleEl);
+    this.el.removeAttribute('data-r6o-ignore-scope');
+    this.touch?.destroy();
+
+    if (this.rubberBand)
+      this._stopRubberBand();
+
+    if (this.config.keyboard) {
+      this.el.removeEventListener('keydown', this._onKeyDown);
+      this.el.removeAttribute('aria-keyshortcuts');
+
+      if (this.addedTabIndex)
+        this.el.removeAttribute('tabindex');
+    }
   }
 
   _onMouseDown = evt => {
-    // left click only
-    if (evt.button === 0) {
+    // Mouse users don't need the focus back after the editor closes
+    this.returnFocusEl = null;
+    this.pendingToggle = false;
+
+    if (this.multiSelect && evt.button === 0 && this.isEnabled && this._startMultiSelect(evt))
+      return;
+
+    // left click only - and keep the current selection when adding a range,
+    // or when extending a token selection
+    const isAddRange = this._currentSelection && isAddRangeEvent(evt);
+    const isExtendTokens = this.anchorToken && evt.shiftKey;
+
+    if (evt.button === 0 && !isAddRange && !isExtendTokens) {
       this.clearSelection();
+
+      // A plain click ends the multi-selection
+      const isPlainClick = !evt.shiftKey && !isAddRangeEvent(evt);
+      if (this.multiSelect && isPlainClick && this.highlighter.getMultiSelected().length > 0)
+        this.setMultiSelection([]);
+    }
+  }
+
+  /**
+   * 'multiSelect' mode: starts a rubber band (Alt-drag), or a toggle of the
+   * annotation under the mouse (Shift- or Ctrl-click). Text selections take
+   * precedence, i.e. adding a range to a new selection, or extending a token
+   * selection. Returns true if the event starts a multi-selection gesture.
+   */
+  _startMultiSelect = evt => {
+    const isModified = evt.shiftKey || isAddRangeEvent(evt);
+
+    if (evt.altKey) {
+      // No text selection while dragging
+      evt.preventDefault();
+      this._startRubberBand(evt, isModified);
+      return true;
+    }
+
+    const isTextSelection = this._currentSelection || this.anchorToken;
+    if (isModified && !isTextSelection && this.highlighter.getAnnotationSpanAt(evt)) {
+      // Shift-click would otherwise extend the browser selection
+      evt.preventDefault();
+      this.pendingToggle = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  /** Replaces the multi-selection with the annotations with the given IDs **/
+  setMultiSelection = ids => {
+    this.highlighter.setMultiSelected(ids);
+    this.emit('selectionChanged', this.highlighter.getMultiSelected());
+  }
+
+  _getMultiSelectedIds = () =>
+    this.highlighter.getMultiSelected().map(a => a.id);
+
+  /** Adds the annotation under the mouse to the multi-selection, or removes it **/
+  _toggleAt = evt => {
+    // Like a plain click, a click on a lane underline picks that annotation
+    const laneSpan = this.highlighter.getLaneSpanAt(evt);
+    const annotationSpan = laneSpan || this.highlighter.getAnnotationSpanAt(evt);
+
+    const annotation = laneSpan ? laneSpan.annotation :
+      annotationSpan && this.highlighter.getAnnotationsAt(annotationSpan)[0];
+
+    if (annotation) {
+      const ids = this._getMultiSelectedIds();
+      this.setMultiSelection(ids.includes(annotation.id) ?
+        ids.filter(id => id !== annotation.id) : [ ...ids, annotation.id ]);
+    }
+  }
+
+  _startRubberBand = (evt, isAdditive) => {
+    const el = this.document.createElement('div');
+    el.className = 'r6o-rubberband';
+    this.document.body.appendChild(el);
+
+    this.rubberBand = { el, x: evt.clientX, y: evt.clientY, isAdditive };
+    this._onRubberBandMove(evt);
+
+    this.document.addEventListener('mousemove', this._onRubberBandMove);
+    this.document.addEventListener('mouseup', this._onRubberBandEnd);
+  }
+
+  _getRubberBandRect = evt => {
+    const { x, y } = this.rubberBand;
+
+    return {
+      left: Math.min(x, evt.clientX),
+      top: Math.min(y, evt.clientY),
+      right: Math.max(x, evt.clientX),
+      bottom: Math.max(y, evt.clientY)
+    };
+  }
+
+  _onRubberBandMove = evt => {
+    const { left, top, right, bottom } = this._getRubberBandRect(evt);
+
+    const { style } = this.rubberBand.el;
+    style.left = `${left}px`;
+    style.top = `${top}px`;
+    style.width = `${right - left}px`;
+    style.height = `${bottom - top}px`;
+  }
+
+  /** Selects the annotations in the rubber band - in addition to the current ones, with Shift or Ctrl **/
+  _onRubberBandEnd = evt => {
+    const rect = this._getRubberBandRect(evt);
+    const { isAdditive } = this.rubberBand;
+
+    this._stopRubberBand();
+
+    const hits = this.highlighter.getAnnotationsInRect(rect).map(a => a.id);
+    if (isAdditive) {
+      const ids = this._getMultiSelectedIds();
+      this.setMultiSelection([ ...ids, ...hits.filter(id => !ids.includes(id)) ]);
+    } else {
+      this.setMultiSelection(hits);
     }
   }
 
+  _stopRubberBand = () => {
+    this.document.removeEventListener('mousemove', this._onRubberBandMove);
+    this.document.removeEventListener('mouseup', this._onRubberBandEnd);
+
+    this.rubberBand.el.parentNode?.removeChild(this.rubberBand.el);
+    this.rubberBand = null;
+  }
+
   _onMouseUp = evt => {
+    // Rubber band mouseups are handled on the document
+    if (this.rubberBand)
+      return;
+
+    if (this.pendingToggle) {
+      this.pendingToggle = false;
+      this._toggleAt(evt);
+      return;
+    }
+
     if (this.isEnabled) {
-      const selection = this.document.getSelection();
+      // Resolved into shadow roots, if any
+      const nativeRange = getSelectedRange(this.document, this.highlighter.getShadowRoots());
+
+      const token = this.highlighter.tokens?.tokenAt(getEventTarget(evt));
+      if (token && !this.readOnly && this._onTokenClick(evt, token, nativeRange)) {
+        this.stack = null;
+        return;
+      }
 
-      if (selection.isCollapsed) {
-        const annotationSpan = evt.target.closest('.r6o-annotation');
-        if (annotationSpan) {
+      if (!nativeRange || nativeRange.collapsed) {
+        const annotationSpan = this.highlighter.getAnnotationSpanAt(evt);
+
+        // A click on a lane underline selects exactly that annotation
+        const laneSpan = annotationSpan && this.highlighter.getLaneSpanAt(evt);
+
+        if (laneSpan) {
+          this.stack = null;
           this.emit('select', {
-            selection: this.highlighter.getAnnotationsAt(annotationSpan)[0],
-            element: annotationSpan
+            selection: laneSpan.annotation,
+            element: laneSpan
           });
+        } else if (annotationSpan) {
+          this._selectFromStack(this.highlighter.getAnnotationsAt(annotationSpan), annotationSpan);
         } else {
           // De-select
+          this.stack = null;
           this.emit('select', {});
         }
-      } else if (!this.readOnly) {
-         const selectedRange = selection.getRangeAt(0)
-
-        if (contains(this.el, selectedRange?.commonAncestorContainer)) {
-          const stub = rangeToSelection(selectedRange, this.el);
-
-          const spans = this.highlighter.wrapRange(selectedRange);
-          spans.forEach(span => span.className = 'r6o-selection');
-          this._hideNativeSelection();
-
-          const exactOverlaps = getExactOverlaps(stub, spans)
-
-          if (exactOverlaps.length > 0) {
-            // User selected existing - reuse top-most original to avoid stratification
-            const top = exactOverlaps[0];
-
-            this.clearSelection();
-            this.emit('select', {
-              selection: top,
-              element: this.document.querySelector(`.r6o-annotation[data-id="${top.id}"]`)
-            });
-          } else {
-            this.emit('select', {
-              selection: stub,
-              element: selectedRange
-            });
-          }
+      } else if (!this.readOnly && !this.touch?.isTouchInput) {
+        this.stack = null;
+
+        // Touch selections are up to TouchSelection, even if the browser
+        // emulates mouse events
+        this._selectRange(nativeRange, isAddRangeEvent(evt));
+      }
+    }
+  }
+
+  /**
+   * Selects one of the overlapping annotations at a click point, shortest
+   * first. Further clicks on the same stack cycle through it. If there is
+   * more than one, the 'select' event lists them all as 'candidates' (for
+   * the AnnotationPicker).
+   */
+  _selectFromStack = (annotations, element) => {
+    const ids = annotations.map(a => a.id).join(' ');
+    const index = this.stack?.ids === ids ? (this.stack.index + 1) % annotations.length : 0;
+
+    this.stack = { ids, annotations, element, index };
+    this._emitStackSelection();
+  }
+
+  /** Selects the given annotation from the current stack, e.g. after the user picked it **/
+  selectFromStack = annotation => {
+    const index = this.stack ?
+      this.stack.annotations.findIndex(a => a.id === annotation.id) : -1;
+
+    if (this.isEnabled && index > -1) {
+      this.stack.index = index;
+      this._emitStackSelection();
+    }
+  }
+
+  _emitStackSelection = () => {
+    const { annotations, element, index } = this.stack;
+    const selection = annotations[index];
+
+    // The clicked span may belong to another annotation in the stack
+    const isOwnElement = element.annotation === selection;
+
+    this.emit('select', {
+      selection,
+      element: isOwnElement ? element : this.highlighter.findAnnotationSpans(selection)[0] || element,
+      candidates: annotations.length > 1 ? annotations : null
+    });
+  }
+
+  /**
+   * Creates a new selection of the given text range ({ start, end } or
+   * { quote, occurrence }, see Highlighter.resolveTextRange) - even if an
+   * existing annotation covers exactly the same text.
+   *
+   * @returns false if the range doesn't resolve, ends up empty (e.g. it's
+   * all ignored content or crosses sections), or selecting is disabled
+   */
+  selectRange = range => {
+    if (!this.isEnabled || this.readOnly)
+      return false;
+
+    const offsets = this.highlighter.resolveTextRange(range);
+    if (!offsets) {
+      console.warn('Could not resolve text range', range);
+      return false;
+    }
+
+    // Unwrapping the current selection merges text nodes - resolve the range afterwards
+    this.clearSelection();
+    return this._selectRange(offsetsToRange(offsets, this.highlighter.index), false, true);
+  }
+
+  /**
+   * Creates a selection from the given (non-collapsed) range, or selects
+   * the existing annotation that exactly matches it (unless 'forceDraft'
+   * is set). If 'addRange' is set, the range is added to the current
+   * selection instead.
+   *
+   * @returns true if something was selected
+   */
+  _selectRange = (nativeRange, addRange, forceDraft) => {
+    let selectedRange = this._clipToContent(nativeRange);
+
+    // With content sections, a selection must not span more than one
+    const index = selectedRange && this.highlighter.indexForRange(selectedRange);
+
+    if (index) {
+      const stub = rangeToSelection(selectedRange, index, this._selectionOpts());
+      const offsets = rangeToOffsets(selectedRange, index);
+
+      // Fragments of one selection must share the same source - otherwise, start over
+      const isAddRange = this._currentSelection && addRange &&
+        this._currentSelection.targets[0].source === stub.target.source;
+
+      if (this._currentSelection && !isAddRange) {
+        // Unwrapping merges text nodes - resolve the range again afterwards
+        const globalOffsets = rangeToOffsets(selectedRange, this.highlighter.index);
+        this.highlighter.unwrapSelection();
+        selectedRange = offsetsToRange(globalOffsets, this.highlighter.index);
+      }
+
+      const selectionSpans = this.highlighter.wrapSelection(selectedRange);
+      this._hideNativeSelection();
+
+      // Ranges across shadow boundaries are plain objects (see clipRange) - the
+      // editor needs something with client rects
+      const element = selectedRange.getBoundingClientRect ? selectedRange : selectionSpans[0];
+
+      if (isAddRange) {
+        this._currentSelection = addToSelection(this._currentSelection, stub);
+        this.emit('select', {
+          selection: this._currentSelection,
+          element
+        });
+
+        return true;
+      }
+
+      // Offsets are only comparable within the same section
+      const section = this.highlighter.getSection(stub);
+      const candidates = this.highlighter.getVisibleAnnotations()
+        .filter(a => this.highlighter.getSection(a) === section);
+
+      const exactOverlaps = forceDraft ? [] : getExactOverlaps(offsets, candidates, this._getAnchoredOffsets);
+
+      if (exactOverlaps.length > 0) {
+        // User selected existing - reuse top-most original to avoid stratification
+        const top = exactOverlaps[0];
+
+        this.clearSelection();
+        this.emit('select', {
+          selection: top,
+          element: this.highlighter.findAnnotationSpans(top)[0]
+        });
+      } else {
+        this._currentSelection = stub;
+        this.emit('select', {
+          selection: stub,
+          element
+        });
+      }
+
+      return true;
+    }
+
+    return false;
+  }
+
+  /** The UTF-16 offsets the annotation is anchored at - none for discontinuous annotations **/
+  _getAnchoredOffsets = annotation => {
+    const offsets = this.highlighter.getFragmentOffsets(annotation);
+    return offsets.length === 1 ? offsets[0] : {};
+  }
+
+  _isInContent = node => this.highlighter.index.isFlat ?
+    this.highlighter.contains(node) : contains(this.el, node);
+
+  /**
+   * The range, snapped and without ignored text at the edges - or null if
+   * start or end are outside the indexed text (e.g. in ignored line numbers)
+   */
+  _clipToContent = range =>
+    this._isInContent(range.startContainer) && this._isInContent(range.endContainer) ?
+      clipRange(range, this.highlighter.index, this._clipOpts()) : null;
+
+  /**
+   * Touch: the native selection has settled. Replaces it with the selection
+   * spans, which the user can adjust with the touch handles. The editor opens
+   * only once the user taps 'Annotate'.
+   */
+  _onTouchSelect = () => {
+    if (!this.isEnabled || this.readOnly)
+      return null;
+
+    const nativeRange = getSelectedRange(this.document, this.highlighter.getShadowRoots());
+    const selectedRange = nativeRange && !nativeRange.collapsed && this._clipToContent(nativeRange);
+
+    // With content sections, a selection must not span more than one
+    if (!selectedRange || !this.highlighter.indexForRange(selectedRange))
+      return null;
+
+    const offsets = rangeToOffsets(selectedRange, this.highlighter.index);
+
+    // Closes the editor, if open, and removes earlier selection spans
+    this.clearSelection();
+
+    this.touchOffsets = offsets;
+    this._hideNativeSelection();
+    return this.highlighter.wrapSelection(offsetsToRange(offsets, this.highlighter.index));
+  }
+
+  /** Touch: moves the start or end of the selection to the given DOM position **/
+  _onTouchMoveHandle = (isStart, node, offset) => {
+    if (!this.touchOffsets || !this._isInContent(node))
+      return null;
+
+    const index = this.highlighter.index;
+    const moved = index.offsetAt(node, offset);
+
+    // Handles can't cross
+    const { start, end } = this.touchOffsets;
+    const offsets = isStart ? { start: moved, end } : { start, end: moved };
+    if (offsets.start >= offsets.end)
+      return null;
+
+    const selectedRange = this._clipToContent(offsetsToRange(offsets, index));
+    if (!selectedRange || !this.highlighter.indexForRange(selectedRange))
+      return null;
+
+    const clipped = rangeToOffsets(selectedRange, index);
+    if (clipped.start === start && clipped.end === end)
+      return null;
+
+    // Unwrapping merges text nodes - resolve the range again afterwards
+    this.touchOffsets = clipped;
+    this.highlighter.unwrapSelection();
+    return this.highlighter.wrapSelection(offsetsToRange(clipped, index));
+  }
+
+  /** Touch: opens the editor for the current touch selection **/
+  _onTouchAnnotate = () => {
+    const offsets = this.touchOffsets;
+    if (!offsets || !this.isEnabled)
+      return;
+
+    this.touchOffsets = null;
+    this.highlighter.unwrapSelection();
+    this._selectRange(offsetsToRange(offsets, this.highlighter.index), false);
+  }
+
+  /**
+   * Token mode: a click on a token selects the token, Shift-click extends
+   * the selection from the last clicked token, and Ctrl-click (Cmd-click
+   * on Mac) adds the token as another range. A plain click on an annotated
+   * token selects the annotation, as usual.
+   *
+   * @returns true if the click was handled
+   */
+  _onTokenClick = (evt, token, nativeRange) => {
+    const isExtend = evt.shiftKey && this.anchorToken;
+
+    // Drags are handled like other selections (and snap to tokens)
+    const isDrag = nativeRange && !nativeRange.collapsed;
+    if (isDrag && !isExtend)
+      return false;
+
+    if (!isExtend && !isAddRangeEvent(evt) && this.highlighter.getAnnotationSpanAt(evt))
+      return false;
+
+    const anchor = isExtend ? this.anchorToken : token;
+    const [ first, last ] = [ anchor, token ].sort((a, b) => a.start - b.start);
+
+    const range = {
+      startContainer: first.el,
+      startOffset: 0,
+      endContainer: last.el,
+      endOffset: last.el.childNodes.length
+    };
+
+    this._selectRange(range, !isExtend && isAddRangeEvent(evt));
+    this.anchorToken = anchor;
+
+    return true;
+  }
+
+  /**
+   * 'keyboard' mode: Enter (or Ctrl+Alt+A) opens the editor for the text
+   * selected with the caret, or selects the focused annotation. The arrow
+   * keys move the caret, and extend the selection with Shift.
+   */
+  _onKeyDown = evt => {
+    if (!this.isEnabled)
+      return;
+
+    // Keys typed into form fields inside the content aren't for us
+    const target = getEventTarget(evt);
+    const isOwnTarget = target === this.el || target.classList?.contains('r6o-annotation');
+    if (!isOwnTarget || target.isContentEditable)
+      return;
+
+    if (isOpenEditorEvent(evt)) {
+      const nativeRange = getSelectedRange(this.document, this.highlighter.getShadowRoots());
+
+      if (nativeRange && !nativeRange.collapsed) {
+        if (!this.readOnly) {
+          evt.preventDefault();
+          this._selectRange(nativeRange, false);
+          this.returnFocusEl = target;
         }
+      } else if (evt.key === 'Enter' && target !== this.el && !target.hasAttribute('data-r6o-hidden')) {
+        evt.preventDefault();
+        this.returnFocusEl = target;
+        this.emit('select', {
+          selection: target.annotation,
+          element: target
+        });
       }
+    } else {
+      const move = getCaretMove(evt);
+      if (move)
+        this._moveCaret(evt, target, move);
     }
   }
 
+  /** Moves (or, with Shift, extends) the selection, starting at the focused element if necessary **/
+  _moveCaret = (evt, target, [ direction, granularity ]) => {
+    const selection = this.document.getSelection();
+    if (!selection?.modify)
+      return; // Leave it to the browser
+
+    evt.preventDefault();
+
+    const isInContent = selection.rangeCount > 0 && contains(this.el, selection.focusNode);
+    if (!isInContent) {
+      const { node, offset } = target === this.el ?
+        this.highlighter.index.positionAt(0) : { node: target, offset: 0 };
+
+      selection.collapse(node, offset);
+    }
+
+    selection.modify(evt.shiftKey ? 'extend' : 'move', direction, granularity);
+
+    const focusEl = selection.focusNode?.nodeType === Node.TEXT_NODE ?
+      selection.focusNode.parentElement : selection.focusNode;
+    focusEl?.scrollIntoView?.({ block: 'nearest' });
+  }
+
   _onDocumentMouseDown = (evt) => {
     if (this.isEnabled) {
-      const clickedInsideContent = this.el.contains(evt.target);
-      const clickedInsideExtra = this.extraEl && this.extraEl.contains(evt.target);
+      // evt.target is retargeted at shadow boundaries - the composed path isn't
+      const path = evt.composedPath?.();
+      const isInside = el => path ? path.includes(el) : el.contains(evt.target);
+
+      const clickedInsideContent = isInside(this.el);
+      const clickedInsideExtra = this.extraEl && isInside(this.extraEl);
 
       if (!clickedInsideContent && !clickedInsideExtra) {
+        this.returnFocusEl = null;
         this.clearSelection();
       }
     }}
@@ -176,23 +744,37 @@ export default class SelectionHandler extends EventEmitter {
   removeSelectionSpans = (element) =>  {
     const currentElement = element || this.document
     currentElement?.classList?.remove('r6o-hide-selection');
-      const spans = Array.prototype.slice.call(currentElement.querySelectorAll('.r6o-selection')) || []
-      if (spans) {
-        spans.forEach(span => {
-          const parent = span.parentNode;
-          parent.insertBefore(this.document.createTextNode(span.textContent), span);
-          parent.removeChild(span);
-        });
-      }
-      this.el.normalize();
+
+    this.highlighter.unwrapSelection();
   }
 
   clearSelection = () => {
     if (this.isEnabled) {
       this._currentSelection = null;
-      clearBrowserSelection(this.document, () => this.emit('select', {}), false);
+      this.anchorToken = null;
+      this.touchOffsets = null;
+      this.touch?.hide();
+      clearBrowserSelection(this.document, () => this.emit('select', {}));
       this.removeSelectionSpans(this.el);
+      this._returnFocus();
     }
   }
 
+  /**
+   * After a keyboard selection, moves the focus back into the content once
+   * the editor is gone - to the element the user started from, or to the
+   * content element if that was removed (e.g. re-rendered annotation spans).
+   */
+  _returnFocus = () => {
+    const el = this.returnFocusEl;
+    this.returnFocusEl = null;
+
+    // Wait until the editor has closed
+    if (el) requestAnimationFrame(() => {
+      const active = this.document.activeElement;
+      if (!active || active === this.document.body)
+        (el.isConnected ? el : this.el).focus({ preventScroll: true });
+    });
+  }
+
 }
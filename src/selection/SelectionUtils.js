@@ -1,128 +1,223 @@
 import { Selection } from '@recogito/recogito-client-core';
+import { createRangeSelector } from '../anchoring';
+import { snapToGranularity } from './Granularity';
 
-export const trimRange = range => {
-  let quote = range.toString();
-  let leadingSpaces = 0;
-  let trailingSpaces = 0;
+// Default number of characters in TextQuoteSelector prefix/suffix
+const DEFAULT_CONTEXT_LENGTH = 32;
 
-  // Count/strip leading spaces
-  while (quote.substring(0, 1) === ' ') {
-    leadingSpaces += 1;
-    quote = quote.substring(1);
-  }
+/** Char offsets (UTF-16) of the given DOM range, resolved through the OffsetIndex **/
+export const rangeToOffsets = (range, offsetIndex) => ({
+  start: offsetIndex.offsetAt(range.startContainer, range.startOffset),
+  end: offsetIndex.offsetAt(range.endContainer, range.endOffset)
+});
+
+/**
+ * Returns a copy of the given DOM range, with start and end moved to
+ * indexed text, so that the range doesn't begin or end inside an
+ * excluded subtree (see 'ignoreSelector'), and never splits a surrogate
+ * pair or a grapheme cluster. Returns null if the range doesn't contain
+ * any indexed text.
+ *
+ * Options:
+ *
+ * - 'granularity' { unit, trim } expands the range to whole words or
+ *   sentences, and optionally trims it (see Granularity)
+ * - 'blockAt' the char offsets of the block around an offset, which
+ *   words and sentences don't extend past (default: OffsetIndex.blockAt)
+ * - 'tokens' a TokenIndex (token mode), to snap the range to token boundaries
+ *
+ * If start and end lie in different trees (i.e. the range crosses a
+ * shadow boundary), the result is a StaticRange-like plain object,
+ * since a live Range can't express that.
+ */
+export const clipRange = (range, offsetIndex, opts = {}) => {
+  const offsets = rangeToOffsets(range, offsetIndex);
+
+  const units = offsetIndex.getUnits();
+  let snapped = {
+    start: units.snapStart(offsets.start),
+    end: units.snapEnd(offsets.end)
+  };
+
+  if (opts.granularity)
+    snapped = snapToGranularity(offsetIndex.getText(), snapped, opts.granularity, opts.blockAt || offsetIndex.blockAt);
+
+  if (opts.tokens)
+    snapped = opts.tokens.snap(snapped);
+
+  return snapped.start < snapped.end ? offsetsToRange(snapped, offsetIndex) : null;
+}
+
+/**
+ * The DOM range for the given char offsets. A StaticRange-like plain
+ * object, if start and end lie in different trees (see clipRange).
+ */
+export const offsetsToRange = ({ start, end }, offsetIndex) => {
+  const domStart = offsetIndex.positionAt(start);
+  const domEnd = offsetIndex.positionAt(end, true);
+
+  if (domStart.node.getRootNode() !== domEnd.node.getRootNode())
+    return {
+      startContainer: domStart.node,
+      startOffset: domStart.offset,
+      endContainer: domEnd.node,
+      endOffset: domEnd.offset,
+      collapsed: false
+    };
+
+  const range = offsetIndex.document.createRange();
+  range.setStart(domStart.node, domStart.offset);
+  range.setEnd(domEnd.node, domEnd.offset);
+  return range;
+}
 
-  // Count/strip trailing spaces
-  while (quote.substring(quote.length - 1) === ' ') {
-    trailingSpaces += 1;
-    quote = quote.substring(0, quote.length - 1);
+/** Selection.getComposedRanges has changed signature over time **/
+const getComposedRanges = (selection, shadowRoots) => {
+  try {
+    return selection.getComposedRanges({ shadowRoots });
+  } catch {
+    return selection.getComposedRanges(...shadowRoots);
   }
+}
+
+/**
+ * Returns the current (last) selected range in the given document, or
+ * null. The document selection reports ranges inside shadow roots as if
+ * they ended at the shadow host. If the content involves shadow roots,
+ * the range is therefore resolved via getComposedRanges (or the
+ * non-standard ShadowRoot.getSelection), and may be a StaticRange.
+ */
+export const getSelectedRange = (doc, shadowRoots = []) => {
+  const selection = doc.getSelection();
+  if (!selection || selection.rangeCount === 0)
+    return null;
+
+  if (shadowRoots.length > 0) {
+    if (selection.getComposedRanges) {
+      const ranges = getComposedRanges(selection, shadowRoots);
+      if (ranges.length > 0)
+        return ranges[ranges.length - 1];
+    }
 
-  // Adjust range
-  if (leadingSpaces > 0)
-    range.setStart(range.startContainer, range.startOffset + leadingSpaces);
-
-  if (trailingSpaces > 0) {
-    const correctedEnd = range.endOffset - trailingSpaces;
-    if (correctedEnd < 0) {
-      // This correction crosses container tag boundaries
-      const prevContainer = range.endContainer.previousSibling || range.endContainer.parentNode;
-
-      // Get last text child in previous container
-      const prevText = Array.from(prevContainer.childNodes)
-        .filter(n => n.nodeType === Node.TEXT_NODE).pop();
-
-      if (prevText) {
-        range.setEnd(prevText, prevText.textContent?.length + correctedEnd);
-      }
-    } else {
-      range.setEnd(range.endContainer, correctedEnd);
+    for (const root of shadowRoots) {
+      const inner = root.getSelection?.();
+      if (inner?.rangeCount > 0 && !inner.isCollapsed)
+        return inner.getRangeAt(inner.rangeCount - 1);
     }
   }
 
-  return range;
-};
+  // With Ctrl/Cmd-drag, some browsers keep the previous ranges
+  return selection.getRangeAt(selection.rangeCount - 1);
+}
+
+/**
+ * Converts the given DOM range to a Selection with a TextQuoteSelector
+ * and a TextPositionSelector, resolving char offsets through the given
+ * OffsetIndex (or SectionIndex, which also sets the target source).
+ * Options:
+ *
+ * - 'contextLength' number of characters of prefix/suffix context in the
+ *   quote selector (default: 32, set to 0 to omit prefix and suffix)
+ * - 'rangeSelector' if 'XPathSelector' or 'CssSelector', adds a
+ *   RangeSelector of this type, relative to the indexed content element
+ * - 'positionSelector' set to false to omit the TextPositionSelector
+ * - 'tokens' a TokenIndex (token mode), to add a TokenSelector with the
+ *   IDs of the first and last token, if the tokens have IDs
+ */
+export const rangeToSelection = (range, offsetIndex, opts = {}) => {
+  const contextLength = opts.contextLength ?? DEFAULT_CONTEXT_LENGTH;
 
-export const rangeToSelection = (range, containerEl) => {
-  const rangeBefore = document.createRange();
+  const { start, end } = rangeToOffsets(range, offsetIndex);
 
-  // A helper range from the start of the contentNode to the start of the selection
-  rangeBefore.setStart(containerEl, 0);
-  rangeBefore.setEnd(range.startContainer, range.startOffset);
+  const text = offsetIndex.getText();
 
-  const quote = range.toString();
-  const start = rangeBefore.toString().length;
+  const quoteSelector = {
+    type: 'TextQuoteSelector',
+    exact: text.substring(start, end)
+  };
+
+  if (contextLength > 0) {
+    const prefix = text.substring(Math.max(0, start - contextLength), start);
+    const suffix = text.substring(end, end + contextLength);
+
+    if (prefix) quoteSelector.prefix = prefix;
+    if (suffix) quoteSelector.suffix = suffix;
+  }
 
-  return new Selection({
-    selector: [{
-      type: 'TextQuoteSelector',
-      exact: quote
-    }, {
+  const selector = [ quoteSelector ];
+
+  // Position offsets count the configured unit (see OffsetUnits)
+  if (opts.positionSelector !== false)
+    selector.push({
       type: 'TextPositionSelector',
-      start: start,
-      end: start + quote.length
-    }]
-  });
+      ...offsetIndex.getUnits().fromUtf16Range({ start, end })
+    });
+
+  const tokenSelector = opts.tokens?.getSelector(range);
+  if (tokenSelector)
+    selector.push(tokenSelector);
+
+  if (opts.rangeSelector)
+    selector.push(createRangeSelector(range, offsetIndex.root, offsetIndex, opts.rangeSelector));
+
+  // Content sections (see SectionIndex) have their own source
+  return new Selection(offsetIndex.source ? { source: offsetIndex.source, selector } : { selector });
 
 };
 
 /**
- * Util function that checks if the given selection is an exact overlap to any
- * existing annotations, and returns them, if so
+ * Adds the range of the 'added' selection as another fragment to the
+ * given selection, turning it into a discontinuous (multi-target)
+ * selection. Fragments are kept in document order, where known.
  */
-export const getExactOverlaps = (selection, selectedSpans) => {
-  // All existing annotations at this point
-  const existingAnnotations = [];
+export const addToSelection = (selection, added) => {
+  const targets = [ ...selection.targets, added.target ];
 
-  selectedSpans.forEach(span => {
-    const enclosingAnnotationSpan = span.closest('.r6o-annotation');
-    const enclosingAnnotation = enclosingAnnotationSpan?.annotation;
+  const startOf = t => Array.isArray(t.selector) ?
+    t.selector.find(s => s.type === 'TextPositionSelector')?.start : undefined;
 
-    if (enclosingAnnotation && !existingAnnotations.includes(enclosingAnnotation))
-      existingAnnotations.push(enclosingAnnotation);
-  });
+  if (targets.every(t => startOf(t) !== undefined))
+    targets.sort((a, b) => startOf(a) - startOf(b));
 
-  if (existingAnnotations.length > 0)
-    return existingAnnotations.filter(anno => {
-      const pos = selection.selector('TextPositionSelector');
-      const isSameStart = anno.start === pos.start;
-      const isSameEnd = anno.end === pos.end;
-      return isSameStart && isSameEnd;
-    });
-  else
-    return [];
+  return new Selection(targets, selection.body);
 };
 
-export const enableTouch = (element, selectHandler, onStartCallback, onEndCallback) => {
-  let touchTimeout;
-  let lastTouchEvent;
+// Makes the generated style rules of each content element unique
+let ignoreScopeCount = 0;
 
-  const onTouchStart = evt => {
-    if (!touchTimeout) {
-      onStartCallback()
-      lastTouchEvent = evt;
-      touchTimeout = setTimeout(executeTouchSelect, 1000);
-    }
-  }
+/** A style rule that makes elements matching the selector unselectable **/
+export const unselectableRule = selector =>
+  `:is(${selector}) { -webkit-user-select:none; user-select:none; }`;
 
-  const executeTouchSelect = () => {
-    if (lastTouchEvent) {
-      selectHandler(lastTouchEvent);
-      touchTimeout = null;
-      lastTouchEvent = null;
-      const selection = element.ownerDocument.getSelection();
-      if (selection && !selection.isCollapsed) {
-        onEndCallback(selection);
-      }
-    }
-  };
+/**
+ * Makes elements matching the given selector inside the content element
+ * unselectable, via a generated style rule. Returns the style element.
+ * (The rule doesn't reach into shadow roots - see Highlighter.addShadowRule.)
+ */
+export const disableSelectionFor = (contentEl, selector) => {
+  const scope = `r6o-ignore-${ignoreScopeCount++}`;
+  contentEl.setAttribute('data-r6o-ignore-scope', scope);
 
-  const resetTouch = evt => {
-    if (touchTimeout) {
-      clearTimeout(touchTimeout);
-      touchTimeout = setTimeout(executeTouchSelect, 1500);
-    }
-  }
+  const doc = contentEl.ownerDocument;
 
-  element.addEventListener('touchstart', onTouchStart);
-  document.addEventListener('selectionchange', resetTouch);
+  const styleEl = doc.createElement('style');
+  styleEl.textContent = `[data-r6o-ignore-scope="${scope}"] ${unselectableRule(selector)}`;
+
+  doc.head.appendChild(styleEl);
+  return styleEl;
 }
+
+/**
+ * Util function that checks if the given char offsets ({ start, end }) are
+ * an exact overlap to any of the given (existing) annotations, and returns
+ * them, if so. 'offsetsOf' returns the offsets of an annotation (default:
+ * those of its TextPositionSelector).
+ */
+export const getExactOverlaps = (pos, annotations, offsetsOf = anno => anno) => {
+  return annotations.filter(anno => {
+    const { start, end } = offsetsOf(anno);
+    const isSameStart = start === pos.start;
+    const isSameEnd = end === pos.end;
+    return isSameStart && isSameEnd;
+  });
+};
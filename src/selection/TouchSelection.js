@@ -0,0 +1,286 @@
+import { I18n } from '@recogito/recogito-client-core';
+
+/** The DOM position under the given client coordinates, as { node, offset } **/
+const caretAt = (doc, x, y) => {
+  if (doc.caretPositionFromPoint) {
+    const pos = doc.caretPositionFromPoint(x, y);
+    return pos && { node: pos.offsetNode, offset: pos.offset };
+  } else if (doc.caretRangeFromPoint) {
+    const range = doc.caretRangeFromPoint(x, y);
+    return range && { node: range.startContainer, offset: range.startOffset };
+  }
+
+  return null;
+}
+
+/** The client rects of the given spans, without those of empty spans **/
+const getRects = spans => spans
+  .flatMap(span => Array.from(span.getClientRects()))
+  .filter(rect => rect.width > 0 && rect.height > 0);
+
+/**
+ * Touch selection, following the native selection lifecycle: once the
+ * user lifts the finger after selecting text (or after adjusting the
+ * selection with the native handles), the selection has settled, and
+ * TouchSelection takes over. It replaces the native selection with
+ * its own start and end handles, which can be dragged to adjust the
+ * selection, and an 'Annotate' button, which opens the editor.
+ *
+ * The selecting itself is up to the callbacks:
+ *
+ * - onSelect() the native selection has settled. Returns the selection
+ *   spans, or null if there is nothing to select.
+ * - onMoveHandle(isStart, node, offset) a handle was dragged to the
+ *   given DOM position. Returns the updated selection spans, or null
+ *   if the selection can't change that way.
+ * - onAnnotate() the 'Annotate' button was tapped
+ */
+export default class TouchSelection {
+
+  constructor(element, { onSelect, onMoveHandle, onAnnotate }) {
+    this.el = element;
+    this.document = element.ownerDocument;
+
+    this.onSelect = onSelect;
+    this.onMoveHandle = onMoveHandle;
+    this.onAnnotate = onAnnotate;
+
+    // Selections made with a mouse or pen are none of our business
+    this.isTouchInput = false;
+
+    // A finger is down on the content
+    this.isTouching = false;
+
+    // Pending animation frame, while the selection settles
+    this.settleRequest = null;
+
+    // The handle being dragged, as { handle, isStart, offsetY }
+    this.drag = null;
+
+    // The selection spans the controls are positioned at, while shown
+    this.spans = null;
+
+    this.controls = null;
+
+    element.addEventListener('touchstart', this._onTouchStart, { passive: true });
+    this.document.addEventListener('pointerdown', this._onPointerDown, true);
+    this.document.addEventListener('touchend', this._onTouchEnd);
+    this.document.addEventListener('touchcancel', this._onTouchEnd);
+    this.document.addEventListener('selectionchange', this._onSelectionChange);
+  }
+
+  destroy = () => {
+    this.hide();
+
+    this.el.removeEventListener('touchstart', this._onTouchStart, { passive: true });
+    this.document.removeEventListener('pointerdown', this._onPointerDown, true);
+    this.document.removeEventListener('touchend', this._onTouchEnd);
+    this.document.removeEventListener('touchcancel', this._onTouchEnd);
+    this.document.removeEventListener('selectionchange', this._onSelectionChange);
+
+    if (this.settleRequest) {
+      cancelAnimationFrame(this.settleRequest);
+      this.settleRequest = null;
+    }
+
+    if (this.controls) {
+      const { startHandle, endHandle, button } = this.controls;
+
+      [ startHandle, endHandle ].forEach(handle => {
+        handle.removeEventListener('touchstart', this._onHandleTouchStart);
+        handle.removeEventListener('touchmove', this._onHandleTouchMove);
+        handle.removeEventListener('touchend', this._onControlTouchEnd);
+        handle.parentNode?.removeChild(handle);
+      });
+
+      button.removeEventListener('touchend', this._onButtonTouchEnd);
+      button.removeEventListener('click', this._onButtonClick);
+      button.parentNode?.removeChild(button);
+
+      this.controls = null;
+    }
+  }
+
+  _onPointerDown = evt => {
+    this.isTouchInput = evt.pointerType === 'touch';
+  }
+
+  _onTouchStart = () => {
+    this.isTouchInput = true;
+    this.isTouching = true;
+  }
+
+  _onTouchEnd = () => {
+    if (this.drag) {
+      this.drag.handle.classList.remove('r6o-dragging');
+      this.drag = null;
+    } else if (this.isTouching) {
+      this.isTouching = false;
+      this._scheduleSettle();
+    }
+  }
+
+  _onSelectionChange = () => {
+    // Selection changes during a touch settle on touchend. Without a
+    // touch (e.g. the native handles on some platforms), on the next frame.
+    if (this.isTouchInput && !this.isTouching && !this.drag)
+      this._scheduleSettle();
+  }
+
+  _scheduleSettle = () => {
+    if (!this.settleRequest)
+      this.settleRequest = requestAnimationFrame(this._settle);
+  }
+
+  _settle = () => {
+    this.settleRequest = null;
+
+    if (this.isTouching || this.drag)
+      return;
+
+    const selection = this.document.getSelection();
+    if (!selection || selection.isCollapsed)
+      return;
+
+    const spans = this.onSelect();
+    if (spans)
+      this.show(spans);
+  }
+
+  _createControls = () => {
+    const createHandle = className => {
+      const handle = this.document.createElement('div');
+      handle.className = `r6o-touch-handle ${className}`;
+
+      // Not passive - dragging a handle must not scroll the page
+      handle.addEventListener('touchstart', this._onHandleTouchStart, { passive: false });
+      handle.addEventListener('touchmove', this._onHandleTouchMove, { passive: false });
+      handle.addEventListener('touchend', this._onControlTouchEnd);
+
+      return handle;
+    }
+
+    const button = this.document.createElement('button');
+    button.type = 'button';
+    button.className = 'r6o-touch-annotate';
+    button.textContent = I18n.t('Annotate');
+
+    button.addEventListener('touchend', this._onButtonTouchEnd);
+    button.addEventListener('click', this._onButtonClick);
+
+    return {
+      startHandle: createHandle('r6o-touch-handle-start'),
+      endHandle: createHandle('r6o-touch-handle-end'),
+      button
+    };
+  }
+
+  /** Shows the handles and the 'Annotate' button at the given selection spans **/
+  show = spans => {
+    if (!this.controls)
+      this.controls = this._createControls();
+
+    const { startHandle, endHandle, button } = this.controls;
+
+    if (!startHandle.isConnected) {
+      this.document.body.append(startHandle, endHandle, button);
+
+      // The selection may be in a scrolling container, not just the page
+      this.document.addEventListener('scroll', this._onScroll, { capture: true, passive: true });
+      this.document.defaultView.addEventListener('resize', this._onScroll);
+    }
+
+    this.spans = spans;
+    this._position();
+  }
+
+  hide = () => {
+    this.spans = null;
+
+    if (this.controls?.startHandle.isConnected) {
+      const { startHandle, endHandle, button } = this.controls;
+      [ startHandle, endHandle, button ].forEach(el => el.parentNode.removeChild(el));
+
+      this.document.removeEventListener('scroll', this._onScroll, { capture: true, passive: true });
+      this.document.defaultView.removeEventListener('resize', this._onScroll);
+    }
+  }
+
+  _position = () => {
+    const rects = getRects(this.spans);
+    if (rects.length === 0)
+      return;
+
+    const first = rects[0];
+    const last = rects[rects.length - 1];
+
+    const { scrollX, scrollY } = this.document.defaultView;
+    const { startHandle, endHandle, button } = this.controls;
+
+    startHandle.style.left = `${first.left + scrollX}px`;
+    startHandle.style.top = `${first.bottom + scrollY}px`;
+
+    endHandle.style.left = `${last.right + scrollX}px`;
+    endHandle.style.top = `${last.bottom + scrollY}px`;
+
+    // Below the end handle
+    button.style.left = `${last.right + scrollX}px`;
+    button.style.top = `${last.bottom + scrollY + endHandle.offsetHeight}px`;
+  }
+
+  _onScroll = () => {
+    if (this.spans)
+      this._position();
+  }
+
+  _onHandleTouchStart = evt => {
+    evt.preventDefault();
+
+    const handle = evt.currentTarget;
+    const isStart = handle === this.controls.startHandle;
+
+    // The finger covers the text - look for the caret at the line above the handle
+    const rects = getRects(this.spans);
+    const rect = isStart ? rects[0] : rects[rects.length - 1];
+    const offsetY = rect ?
+      evt.touches[0].clientY - (rect.top + rect.bottom) / 2 : 0;
+
+    // Caret lookups must hit the text, not the handle
+    handle.classList.add('r6o-dragging');
+
+    this.drag = { handle, isStart, offsetY };
+  }
+
+  _onHandleTouchMove = evt => {
+    evt.preventDefault();
+
+    const touch = evt.touches[0];
+    if (!this.drag || !touch)
+      return;
+
+    const caret = caretAt(this.document, touch.clientX, touch.clientY - this.drag.offsetY);
+    if (!caret)
+      return;
+
+    const spans = this.onMoveHandle(this.drag.isStart, caret.node, caret.offset);
+    if (spans) {
+      this.spans = spans;
+      this._position();
+    }
+  }
+
+  /** No emulated mouse events - a mousedown outside the content would clear the selection **/
+  _onControlTouchEnd = evt =>
+    evt.preventDefault();
+
+  _onButtonTouchEnd = evt => {
+    evt.preventDefault();
+    this._onButtonClick();
+  }
+
+  _onButtonClick = () => {
+    this.hide();
+    this.onAnnotate();
+  }
+
+}
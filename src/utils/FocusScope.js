@@ -0,0 +1,54 @@
+// All live scopes, across instances on the page
+const scopes = new Set();
+
+/**
+ * Tracks whether the user is working inside one Recogito instance (its
+ * content, editor and extra elements), so that document-level key
+ * handlers only react for that instance. The last pointer-down or focus
+ * change decides which instance has focus. If the user last interacted
+ * with something outside all instances, every instance counts as
+ * focused (which is the single-instance behavior).
+ */
+export default class FocusScope {
+
+  constructor(elements) {
+    this.elements = elements.filter(Boolean);
+    this.document = this.elements[0].ownerDocument;
+
+    this.hasFocus = false;
+
+    // Capture phase, so that handlers which stop propagation don't interfere
+    this.document.addEventListener('mousedown', this._onInteraction, true);
+    this.document.addEventListener('touchstart', this._onInteraction, true);
+    this.document.addEventListener('focusin', this._onInteraction, true);
+
+    scopes.add(this);
+  }
+
+  destroy = () => {
+    this.document.removeEventListener('mousedown', this._onInteraction, true);
+    this.document.removeEventListener('touchstart', this._onInteraction, true);
+    this.document.removeEventListener('focusin', this._onInteraction, true);
+
+    scopes.delete(this);
+  }
+
+  contains = node =>
+    this.elements.some(el => el.contains(node));
+
+  // Document listeners see targets inside shadow roots retargeted to the
+  // host - the composed path has the full chain
+  _onInteraction = evt => {
+    const path = evt.composedPath?.();
+    this.hasFocus = path ?
+      this.elements.some(el => path.includes(el)) : this.contains(evt.target);
+  }
+
+  get isFocused() {
+    if (this.hasFocus)
+      return true;
+
+    return !Array.from(scopes).some(scope => scope.hasFocus && scope.document === this.document);
+  }
+
+}